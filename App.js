@@ -1,78 +1,289 @@
-import React, { useState } from 'react';
-import { StyleSheet, Text, View, Button, FlatList, TouchableOpacity } from 'react-native';
-import { Game } from './game';
+import React, { useEffect, useRef, useState } from 'react';
+import { Animated, StyleSheet, Text, TextInput, View, Button, FlatList, TouchableOpacity } from 'react-native';
+import { io } from 'socket.io-client';
+import { Game, Card } from './game';
+import { createBot, setupBot, playBotTurn, describeMove, hint } from './ai';
+import { QUICK_REACTIONS, reactionFor } from './chat';
+
+const LEVELS = ['easy', 'medium', 'hard'];
+
+// Number of chat messages shown below the status
+const CHAT_LINES = 4;
+
+// Server to connect to for online games (see server.js); it can be changed
+// on the start screen, e.g. to the address of a laptop on the same network
+const DEFAULT_SERVER = 'http://localhost:3000';
+
+// Milliseconds a burn or skip banner stays on screen
+const EFFECT_TIME = 1200;
+
+// Banners for burns and skips
+const BURNED = '🔥 Burned!';
+const skippedText = (seats, names) => `⏭ ${(seats || []).map(seat => names[seat]).join(', ')} skipped`;
+
+// Text for a card sent as plain data (by the server or in a view)
+const cardLabel = card => Card.fromJSON(card).toString();
+
+// Chat line for a message or quick reaction sent by the server
+const chatLine = message => `${message.name}: ${message.text}`;
 
 /**
- * A simple React Native interface for playing a two player game of
- * Shithead against a very naive AI. When the user taps "Start Game"
- * a new Game instance is created with two named players. Cards in
- * the user's hand are displayed horizontally and may be tapped to
- * play them. After the user plays a card the AI will immediately
- * respond by playing its lowest card if possible. Status messages
- * describing the last moves are shown above the cards.
+ * A simple React Native interface for playing Shithead, either a two
+ * player game against a computer opponent on the device or online
+ * against other people through server.js.
+ *
+ * Against the computer the user first picks the bot's difficulty (see
+ * ai.js). When the user taps "Start Game" a new Game instance is created
+ * with two named players. After the user plays the AI will immediately
+ * respond. Status messages describing the last moves are shown at the
+ * top, together with quick reactions (see chat.js) sent by the user and
+ * by the computer, which reacts to burns and pick ups.
+ *
+ * Online the user enters the server address, their name and a room name
+ * and creates or joins that room. The app then only renders the latest
+ * `stateUpdate` from the server: the lobby until the host starts the
+ * game, then the table and the user's cards. Moves are sent to the
+ * server, which answers with a new state or an `invalidMove` reason that
+ * is shown as the status. The room's recent chat is shown on joining, and
+ * the table counts down the turn time and shows how many are watching.
+ *
+ * Either way the table is drawn from a player view (see
+ * Game#getPlayerView): every opponent with their hand count, face up
+ * cards and face down count, the pile and the deck, and the players who
+ * have finished. The user's cards are addressed by zone and position.
+ * Tapping cards of one rank selects them and the Play button lays them
+ * all down, so pairs, triples and several 5s can be played at once.
+ * Burns and skips flash a short banner over the table. The cards that can
+ * be played are outlined, and the Hint button selects the move the hard
+ * bot would make (see hint() in ai.js).
  */
 export default function App() {
   const [status, setStatus] = useState('Welcome to Shithead!');
   const [game, setGame] = useState(null);
-  const [playerHand, setPlayerHand] = useState([]);
+  // Bumped whenever the local game changes, to render it again
+  const [, setVersion] = useState(0);
+  // Selected cards as { zone, index }: one hand card during setup, cards of
+  // one rank to play afterwards
+  const [selected, setSelected] = useState([]);
+  const [level, setLevel] = useState('medium');
+  const [bot, setBot] = useState(null);
+  const [messages, setMessages] = useState([]);
+  // Number of game log entries the computer has already reacted to
+  const seenLog = useRef(0);
+  // Online play: the connection form, the socket and the reconnect token
+  // for our seat, and the latest stateUpdate (null until we are in a room)
+  const [mode, setMode] = useState('local');
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER);
+  const [playerName, setPlayerName] = useState('');
+  const [roomName, setRoomName] = useState('');
+  const [online, setOnline] = useState(null);
+  const socketRef = useRef(null);
+  const tokenRef = useRef(null);
+  const onlineRef = useRef(null);
+  // Banner for the last burn or skip and its fade in and out
+  const [effect, setEffect] = useState(null);
+  const effectAnim = useRef(new Animated.Value(0)).current;
+  // Current time, ticking every second while an online turn is timed
+  const [now, setNow] = useState(Date.now());
+
+  // Close the connection when the app goes away
+  useEffect(() => () => {
+    if (socketRef.current) socketRef.current.disconnect();
+  }, []);
 
   /**
-   * Helper to update the local hand state from the underlying Game
-   * instance.  This reads the human player's current hand and copies
-   * the array so that React will trigger a re-render.  We wrap this
-   * logic in a function to avoid repeating it in multiple places.
+   * Add a quick reaction to the chat lines.
+   *
+   * @param {string} name Who is reacting.
+   * @param {string} reaction Key of QUICK_REACTIONS.
    */
-  const refreshHand = () => {
-    if (!game) return;
-    setPlayerHand([...game.players[0].hand]);
+  const react = (name, reaction) => {
+    addMessage(`${name}: ${QUICK_REACTIONS[reaction]}`);
+  };
+
+  /**
+   * Add a line to the chat lines, dropping the oldest.
+   *
+   * @param {string} message
+   */
+  const addMessage = (message) => {
+    setMessages(prev => [...prev, message].slice(-CHAT_LINES));
+  };
+
+  /**
+   * Flash a banner over the table.
+   *
+   * @param {string} text
+   */
+  const flashEffect = (text) => {
+    setEffect(text);
+    effectAnim.setValue(0);
+    Animated.sequence([
+      Animated.timing(effectAnim, { toValue: 1, duration: 200, useNativeDriver: true }),
+      Animated.delay(EFFECT_TIME),
+      Animated.timing(effectAnim, { toValue: 0, duration: 300, useNativeDriver: true }),
+    ]).start();
+  };
+
+  /**
+   * Flash a banner for the last burn or skip among new game log entries,
+   * as the server streams them in `gameEvents`.
+   *
+   * @param {object[]} entries
+   * @param {string[]} names Player names by seat.
+   */
+  const showEffects = (entries, names) => {
+    let text = null;
+    for (const entry of entries) {
+      if (entry.type === 'burn') text = BURNED;
+      else if (entry.type === 'skip') text = skippedText(entry.players, names);
+    }
+    if (text) flashEffect(text);
   };
 
+  /**
+   * Let the computer react to what happened since it last looked at the
+   * game log: it celebrates its own burns, gloats when the user picks up
+   * the pile and congratulates them on going out.
+   */
+  const botReacts = () => {
+    let reaction = null;
+    for (const entry of game.log.slice(seenLog.current)) {
+      const key = reactionFor(entry);
+      if (key && (key === 'burn' ? entry.player === 1 : entry.player === 0)) reaction = key;
+    }
+    seenLog.current = game.log.length;
+    if (reaction) react('Computer', reaction);
+  };
+
+  /**
+   * Render the local game again after the Game instance changed
+   * underneath us.  The table is read from the game's view for seat 0 on
+   * every render, so all it takes is a state change.
+   */
+  const refresh = () => setVersion(v => v + 1);
+
   /**
    * Initialise a new game with two named players. The Game class now
    * accepts an array of names so the players will be identified as
-   * "You" and "Computer". After creating the game we copy the human
-   * player's starting hand into component state for rendering.
+   * "You" and "Computer". The computer makes its swaps straight away
+   * while the human gets the setup phase to swap cards.
    */
   const startGame = () => {
-    const newGame = new Game(2);
-    // assign player names manually for compatibility
-    newGame.players[0].name = 'You';
-    newGame.players[1].name = 'Computer';
+    const newGame = new Game(['You', 'Computer']);
+    // Burns and skips flash up as the game reports them
+    const names = newGame.players.map(p => p.name);
+    newGame.on('pileBurned', () => flashEffect(BURNED));
+    newGame.on('playersSkipped', ({ players }) => flashEffect(skippedText(players, names)));
+    const newBot = createBot(level);
+    setupBot(newGame, 1, newBot);
+    setBot(newBot);
     setGame(newGame);
-    // Copy the player's starting hand into state
-    setPlayerHand([...newGame.players[0].hand]);
-    setStatus('Game started. Your turn!');
+    setSelected([]);
+    setMessages([]);
+    seenLog.current = newGame.log.length;
+    setStatus('Tap a hand card, then a face up card to swap them. Press Ready when done.');
   };
 
   /**
-   * Attempt to play a card from the human player's hand. The card
-   * object itself is passed in from the renderItem callback. If the
-   * move is invalid an error will be caught and displayed. After the
-   * human plays a card the AI responds if it is their turn. The
-   * player's hand is updated from the Game instance after each turn.
+   * Tap on one of our cards.  During setup a hand card is selected and a
+   * face up card is swapped with it.  Afterwards cards are selected for
+   * the next play: a card of the rank already selected is added to (or
+   * taken out of) the selection, a card of another rank starts a new one.
+   *
+   * @param {string} zone 'hand' or 'faceUp'.
+   * @param {number} index Position of the card in that zone.
    */
-  const playCard = (card) => {
-    if (!game) return;
+  const tapCard = (zone, index) => {
+    if (view.phase === 'setup') {
+      if (zone === 'hand') setSelected([{ zone, index }]);
+      else if (selected.length > 0) swap(selected[0].index, index);
+      return;
+    }
+    const isSelected = s => s.zone === zone && s.index === index;
+    const first = selected[0];
+    if (selected.some(isSelected)) {
+      setSelected(selected.filter(s => !isSelected(s)));
+    } else if (first && view[first.zone][first.index].rank === view[zone][index].rank) {
+      setSelected([...selected, { zone, index }]);
+    } else {
+      setSelected([{ zone, index }]);
+    }
+  };
+
+  /**
+   * Swap a hand card with a face up card during setup.
+   *
+   * @param {number} handIndex
+   * @param {number} faceUpIndex
+   */
+  const swap = (handIndex, faceUpIndex) => {
+    setSelected([]);
+    if (online) {
+      send('swapCards', { handIndex, faceUpIndex });
+      return;
+    }
+    try {
+      const human = game.players[0];
+      game.swapCards(human, human.hand[handIndex], human.faceUp[faceUpIndex]);
+      refresh();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  /**
+   * Finish the setup phase. If the computer holds the lowest card it
+   * starts, so let it take its turn right away.
+   */
+  const ready = () => {
+    setSelected([]);
+    if (online) {
+      send('ready');
+      return;
+    }
+    game.setReady(game.players[0]);
+    refresh();
+    if (game.currentPlayer === 0) {
+      setStatus('Game started. Your turn!');
+    } else {
+      handleAITurn('Game started.');
+    }
+  };
+
+  /**
+   * Play the selected cards. If the move is invalid the reason is shown
+   * and the selection kept. After the human plays the AI responds if it
+   * is their turn. Online the selection is cleared by the next state
+   * from the server.
+   */
+  const playSelected = () => {
+    if (selected.length === 0) {
+      setStatus('Tap the cards you want to play first.');
+      return;
+    }
+    if (online) {
+      send('makeMove', { move: selected.map(({ zone, index }) => ({ zone, index })) });
+      return;
+    }
     try {
-      // Human plays the selected card
-      const result = game.playTurn(game.players[0], [card]);
-      // Update the human player's hand after playing
-      refreshHand();
-      let newStatus = result;
+      const human = game.players[0];
+      const result = game.playTurn(human, selected.map(({ zone, index }) => human[zone][index]));
+      setSelected([]);
       // If it's now the computer's turn, have the AI take its turn
-      handleAITurn(newStatus);
+      handleAITurn(result);
     } catch (err) {
       setStatus(err.message);
     }
   };
 
   /**
-   * Handle the AI's turn.  If the current player after the human's move
-   * is the AI, attempt to play the first playable card in its hand.  If
-   * no cards are playable, the AI will pick up the pile.  The status
-   * message passed in will be appended with the AI's action.  After the
-   * AI finishes its turn the human player's hand is refreshed and the
-   * status is updated.  If the game is over a final message is shown.
+   * Handle the AI's turn.  While it is the computer's turn (it may get
+   * several in a row, e.g. after burning the pile or playing a 2) the bot
+   * chooses a move from its view of the game.  The status message passed
+   * in will be appended with the AI's actions.  After the AI finishes its
+   * turn the table is refreshed and the status is updated.  If the game
+   * is over a final message is shown.
    *
    * @param {string} baseStatus Text describing the human player's move.
    */
@@ -82,45 +293,19 @@ export default function App() {
       return;
     }
     let newStatus = baseStatus;
-    // Continue AI turns while it's the AI's turn
-    while (true) {
-      const aiPlayer = game.players[game.currentPlayer];
-      if (aiPlayer === game.players[0]) {
-        // Back to the human player's turn
-        break;
-      }
-      // Determine a playable card or pick up
-      let played = false;
-      for (const c of aiPlayer.hand) {
-        if (game.isPlayable(c)) {
-          const aiResult = game.playTurn(aiPlayer, [c]);
-          newStatus += '\nAI: ' + aiResult;
-          played = true;
-          break;
-        }
-      }
-      if (!played) {
-        // AI picks up the pile
-        const aiResult = game.playTurn(aiPlayer, []);
-        newStatus += '\nAI: ' + aiResult;
-      }
-      // If game over after AI move break
-      if (game.isGameOver()) {
-        break;
-      }
-      // Check if AI gets another turn (e.g. burned pile or played 2)
-      // If so, loop again; otherwise break when turn passes to next player
-      if (game.players[game.currentPlayer] === game.players[0]) {
-        break;
-      }
+    // Continue AI turns until it is the human player's turn again
+    while (!game.isGameOver() && game.currentPlayer !== 0) {
+      const aiPlayer = game.getCurrentPlayer();
+      const { move, result } = playBotTurn(game, bot);
+      newStatus += '\nAI: ' + describeMove(aiPlayer.name, move, result);
     }
-    // Refresh human's hand after AI turn
-    refreshHand();
+    refresh();
+    botReacts();
     // If the game has ended, announce the winner
     if (game.isGameOver()) {
-      const winners = game.players.filter(p => p.finished);
-      if (winners.length > 0) {
-        newStatus += `\n${winners[0].name} wins!`;
+      const winner = game.getWinner();
+      if (winner) {
+        newStatus += `\n${winner.name} wins!`;
       } else {
         newStatus += '\nGame over.';
       }
@@ -128,27 +313,235 @@ export default function App() {
     setStatus(newStatus);
   };
 
+  /**
+   * Turn over one of the human player's face down cards. It is played if
+   * legal, otherwise the pile and the revealed card are picked up.
+   */
+  const playBlind = (index) => {
+    if (online) {
+      send('playBlind', { index });
+      return;
+    }
+    try {
+      const { card, playable } = game.playBlind(game.players[0], index);
+      handleAITurn(`You turn over ${card.toString()}${playable ? ' and play it' : ' and must pick up the pile'}.`);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
   /**
    * Allow the human player to pick up the pile voluntarily.  This
    * corresponds to passing their turn or being unable to play.  We
    * delegate to playTurn with an empty array to trigger the pick up
-   * behaviour.  Afterwards the AI will take its turn if applicable.
+   * behaviour (online, makeMove with no cards does the same).  Afterwards
+   * the AI will take its turn if applicable.
    */
   const pickUp = () => {
+    setSelected([]);
+    if (online) {
+      send('makeMove', { move: [] });
+      return;
+    }
+    try {
+      const result = game.playTurn(game.players[0], []);
+      handleAITurn(result);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  /**
+   * Take back the human player's last move.  The engine undoes actions one
+   * at a time, so keep undoing the AI's replies until the human's own move
+   * has been reverted and it is their turn again.
+   */
+  const takeBack = () => {
     if (!game) return;
-    const result = game.playTurn(game.players[0], []);
-    refreshHand();
-    let newStatus = result;
-    handleAITurn(newStatus);
+    let action = game.undo();
+    while (action && action.player !== 0) {
+      action = game.undo();
+    }
+    setSelected([]);
+    refresh();
+    seenLog.current = game.log.length;
+    setStatus(action ? 'Move taken back. Your turn!' : 'Nothing to take back.');
+  };
+
+  /**
+   * Ask for a hint. Online the server answers with a `hint` event.
+   */
+  const askHint = () => {
+    if (online) {
+      send('hint');
+      return;
+    }
+    const human = game.players[0];
+    const move = hint(game, human);
+    if (move) showHint(game.movePositions(human, move));
+    else setStatus('Wait for your turn.');
+  };
+
+  /**
+   * Show a hinted move: the cards to play are selected, ready for the Play
+   * button.
+   *
+   * @param {object} move With its cards as { zone, index } positions.
+   */
+  const showHint = (move) => {
+    if (move.type === 'play') {
+      setSelected(move.cards);
+      setStatus('Hint: play the selected cards.');
+    } else if (move.type === 'blind') {
+      setSelected([]);
+      setStatus(`Hint: turn over face down card ${move.index + 1}.`);
+    } else {
+      setSelected([]);
+      setStatus('Hint: pick up the pile.');
+    }
   };
 
   /**
-   * Render an individual card as a touchable element. When tapped the
-   * associated card is passed to playCard.
+   * Connect to the server and create or join the room named in the form.
+   * If the connection drops, socket.io reconnects by itself and we take
+   * our seat back with the reconnect token from `seatAssigned`.
+   *
+   * @param {boolean} create Create the room rather than join it.
    */
-  const renderCard = ({ item }) => (
-    <TouchableOpacity onPress={() => playCard(item)} style={styles.card}>
-      <Text>{item.toString()}</Text>
+  const connect = (create) => {
+    const name = playerName.trim();
+    const roomId = roomName.trim();
+    if (!name || !roomId) {
+      setStatus('Enter your name and the name of a room.');
+      return;
+    }
+    if (socketRef.current) socketRef.current.disconnect();
+    tokenRef.current = null;
+    setMessages([]);
+    setStatus(`Connecting to ${serverUrl}…`);
+    const socket = io(serverUrl);
+    socketRef.current = socket;
+    socket.on('connect', () => {
+      if (tokenRef.current) socket.emit('joinRoom', { roomId, token: tokenRef.current });
+      else if (create) socket.emit('createRoom', { roomId, playerName: name });
+      else socket.emit('joinRoom', { roomId, playerName: name });
+    });
+    socket.on('connect_error', () => setStatus(`Cannot reach ${serverUrl}.`));
+    socket.on('seatAssigned', ({ token }) => {
+      tokenRef.current = token;
+    });
+    socket.on('stateUpdate', (state) => {
+      onlineRef.current = state;
+      setOnline(state);
+      setSelected([]);
+      if (state.status) setStatus(state.status);
+    });
+    socket.on('gameEvents', ({ events }) => {
+      const latest = onlineRef.current;
+      showEffects(events, latest ? latest.room.seats.map(s => s.name) : []);
+    });
+    socket.on('invalidMove', ({ reason }) => setStatus(reason));
+    socket.on('replacedByBot', () => {
+      setStatus('You ran out of time, so a computer player is playing for you. Make a move to take your seat back.');
+    });
+    socket.on('hint', ({ move }) => showHint(move));
+    socket.on('chat', message => addMessage(chatLine(message)));
+    socket.on('chatHistory', ({ messages: history }) => {
+      setMessages(history.map(chatLine).slice(-CHAT_LINES));
+    });
+    socket.on('watchers', ({ spectators }) => {
+      const latest = onlineRef.current;
+      if (!latest) return;
+      onlineRef.current = { ...latest, room: { ...latest.room, spectators } };
+      setOnline(onlineRef.current);
+    });
+    socket.on('turnWarning', ({ seat, secondsLeft }) => {
+      const latest = onlineRef.current;
+      if (seat === null) setStatus(`${secondsLeft} seconds left to get ready!`);
+      else if (latest && seat === latest.seat) setStatus(`Hurry, you have ${secondsLeft} seconds left!`);
+      else if (latest) setStatus(`${latest.room.seats[seat].name} has ${secondsLeft} seconds left.`);
+    });
+    socket.on('kicked', () => {
+      leave();
+      setStatus('The host removed you from the room.');
+    });
+  };
+
+  /**
+   * Disconnect from the server and go back to the start screen.
+   */
+  const leave = () => {
+    if (socketRef.current) socketRef.current.disconnect();
+    socketRef.current = null;
+    tokenRef.current = null;
+    onlineRef.current = null;
+    setOnline(null);
+    setSelected([]);
+    setMessages([]);
+    setStatus('Welcome to Shithead!');
+  };
+
+  /**
+   * Send an event about the room we are in to the server.
+   *
+   * @param {string} event
+   * @param {object} [payload]
+   */
+  const send = (event, payload = {}) => {
+    socketRef.current.emit(event, { roomId: online.room.roomId, ...payload });
+  };
+
+  const nextLevel = () => setLevel(LEVELS[(LEVELS.indexOf(level) + 1) % LEVELS.length]);
+
+  // Our place in an online room: the seat we play in (null when watching)
+  // and whether we are the host
+  const room = online && online.room;
+  const me = room && online.seat !== null ? room.seats[online.seat] : null;
+  const isHost = !!me && room.host === online.seat;
+  // Seconds left of the current turn (or setup), if it is timed
+  const deadline = room ? room.deadline : null;
+  const secondsLeft = deadline ? Math.max(0, Math.ceil((deadline - now) / 1000)) : null;
+  const watching = room && room.spectators > 0 ? `${room.spectators} watching` : null;
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  // The table: our view of the local game, or the latest state from the
+  // server once a game has been dealt. `playing` is false once it is over.
+  const view = game ? game.getPlayerView(0) : (online && online.phase ? online : null);
+  const playing = !!view && (game ? !game.isGameOver() : room.phase === 'playing');
+  const top = view && view.pile[view.pile.length - 1];
+  const shithead = view && !playing ? view.players.find(p => !p.finished) : null;
+  // Our legal moves, empty unless it is our turn
+  const moves = game
+    ? game.legalMoves(game.players[0]).map(move => game.movePositions(game.players[0], move))
+    : (online && online.legalMoves) || [];
+  const canPlay = (zone, index) => moves.some(move => move.type === 'play'
+    && move.cards.some(c => c.zone === zone && c.index === index));
+
+  /**
+   * Render one of our cards as a touchable element, outlined if it can be
+   * played and highlighted while it is selected.
+   *
+   * @param {string} zone
+   * @param {{rank: number, suit: string}} card
+   * @param {number} index
+   */
+  const renderCard = (zone, card, index) => (
+    <TouchableOpacity
+      key={`${zone}${index}`}
+      onPress={() => tapCard(zone, index)}
+      style={[
+        styles.card,
+        canPlay(zone, index) && styles.playable,
+        selected.some(s => s.zone === zone && s.index === index) && styles.selected,
+      ]}
+    >
+      <Text>{cardLabel(card)}</Text>
     </TouchableOpacity>
   );
 
@@ -156,28 +549,176 @@ export default function App() {
     <View style={styles.container}>
       <Text style={styles.title}>Shithead</Text>
       <Text style={styles.status}>{status}</Text>
-      {!game && (
-        <Button title="Start Game" onPress={startGame} />
+      {messages.map((message, index) => (
+        <Text key={index} style={styles.chat}>{message}</Text>
+      ))}
+      {(game || me) && (
+        <View style={styles.reactions}>
+          {Object.keys(QUICK_REACTIONS).map(key => (
+            <TouchableOpacity
+              key={key}
+              onPress={() => (online ? send('reaction', { reaction: key }) : react('You', key))}
+              style={styles.reaction}
+            >
+              <Text>{QUICK_REACTIONS[key]}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
       )}
-      {game && (
+      {!game && !online && (
         <>
-          {/* Display pile top, face up and face down info */}
-          <View style={{ marginVertical: 10, alignItems: 'center' }}>
-            <Text>Top of pile: {game.getTopCard() ? game.getTopCard().toString() : 'Empty'}</Text>
-            <Text>Your face up: {game.players[0].faceUp.map(c => c.toString()).join(', ') || 'None'}</Text>
-            <Text>Face down count: {game.players[0].faceDown.length}</Text>
-            {/* Provide a button to pick up the pile */}
-            <Button title="Pick up pile" onPress={pickUp} />
-          </View>
-          {/* Display the player's hand horizontally */}
-          <FlatList
-            data={playerHand}
-            renderItem={renderCard}
-            keyExtractor={(_, index) => index.toString()}
-            horizontal
+          <Button
+            title={mode === 'local' ? 'Play: against the computer' : 'Play: online'}
+            onPress={() => setMode(mode === 'local' ? 'online' : 'local')}
           />
+          {mode === 'local' ? (
+            <>
+              {/* Cycle through the bot difficulty levels */}
+              <Button title={`Difficulty: ${level}`} onPress={nextLevel} />
+              <Button title="Start Game" onPress={startGame} />
+            </>
+          ) : (
+            <>
+              <TextInput
+                style={styles.input}
+                value={serverUrl}
+                onChangeText={setServerUrl}
+                placeholder="Server address"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TextInput style={styles.input} value={playerName} onChangeText={setPlayerName} placeholder="Your name" />
+              <TextInput
+                style={styles.input}
+                value={roomName}
+                onChangeText={setRoomName}
+                placeholder="Room name"
+                autoCapitalize="none"
+              />
+              <Button title="Create room" onPress={() => connect(true)} />
+              <Button title="Join room" onPress={() => connect(false)} />
+            </>
+          )}
         </>
       )}
+      {/* Online: the lobby, where players ready up and the host adds
+          computer players and starts the game */}
+      {room && room.phase === 'lobby' && (
+        <View style={styles.table}>
+          <Text>
+            Room {room.roomId} ({room.seats.length}/{room.maxSeats} players{watching ? `, ${watching}` : ''})
+          </Text>
+          {room.seats.map(s => (
+            <Text key={s.seat}>
+              {s.name}
+              {s.seat === room.host ? ' (host)' : ''}
+              {s.bot ? ` – ${s.bot} computer` : ''}
+              {s.ready ? ' – ready' : ' – not ready'}
+            </Text>
+          ))}
+          {me && (
+            <Button title={me.ready ? 'Not ready' : 'Ready'} onPress={() => send('readyUp', { ready: !me.ready })} />
+          )}
+          {isHost && (
+            <>
+              <Button title={`Difficulty: ${level}`} onPress={nextLevel} />
+              <Button title="Add computer player" onPress={() => send('addBot', { level })} />
+              <Button title="Start game" onPress={() => send('startGame')} />
+            </>
+          )}
+        </View>
+      )}
+      {/* The table: opponents, pile and deck, and whose turn it is */}
+      {view && (
+        <View style={styles.table}>
+          {view.players.filter(p => p.id !== view.seat).map(p => (
+            <View
+              key={p.id}
+              style={[styles.opponent, playing && view.phase === 'play' && p.id === view.currentPlayer && styles.current]}
+            >
+              <Text style={styles.name}>{p.name}{p.finished ? ' (out)' : ''}</Text>
+              <Text>{p.handCount} in hand, {p.faceDownCount} face down</Text>
+              <Text>Face up: {p.faceUp.map(cardLabel).join(' ') || 'none'}</Text>
+            </View>
+          ))}
+          <Text>
+            Pile: {top ? cardLabel(top) : 'empty'} ({view.pile.length} {view.pile.length === 1 ? 'card' : 'cards'})
+            {'  '}Deck: {view.deckCount}
+          </Text>
+          {playing && view.phase === 'play' && (
+            <Text style={styles.name}>
+              {view.currentPlayer === view.seat ? 'Your turn!' : `${view.players[view.currentPlayer].name} to play.`}
+            </Text>
+          )}
+          {playing && secondsLeft !== null && (
+            <Text>{secondsLeft} {secondsLeft === 1 ? 'second' : 'seconds'} left{view.phase === 'setup' ? ' to get ready' : ''}</Text>
+          )}
+          {watching && <Text>{watching}</Text>}
+          {effect && (
+            <Animated.Text
+              style={[styles.effect, {
+                opacity: effectAnim,
+                transform: [{ scale: effectAnim.interpolate({ inputRange: [0, 1], outputRange: [0.5, 1] }) }],
+              }]}
+            >
+              {effect}
+            </Animated.Text>
+          )}
+        </View>
+      )}
+      {/* Our own face up and face down cards and what we can do */}
+      {playing && view.hand && (
+        <View style={styles.table}>
+          <Text>Your face up:</Text>
+          <View style={styles.row}>
+            {view.faceUp.map((card, index) => renderCard('faceUp', card, index))}
+          </View>
+          <Text>Face down count: {view.faceDownCount}</Text>
+          {/* Once the hand and face up cards are gone the face down cards are played blind */}
+          {view.phase === 'play' && view.activeZone === 'faceDown' && (
+            <View style={styles.row}>
+              {Array.from({ length: view.faceDownCount }, (_, index) => (
+                <TouchableOpacity key={index} onPress={() => playBlind(index)} style={styles.card}>
+                  <Text>?</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          {view.phase === 'setup' && !view.players[view.seat].ready && <Button title="Ready" onPress={ready} />}
+          {view.phase === 'play' && (
+            <>
+              <Button title={selected.length > 1 ? `Play ${selected.length} cards` : 'Play'} onPress={playSelected} />
+              <Button title="Pick up pile" onPress={pickUp} />
+              <Button title="Hint" onPress={askHint} />
+              {game && <Button title="Take back" onPress={takeBack} />}
+            </>
+          )}
+        </View>
+      )}
+      {/* Display the player's hand horizontally */}
+      {playing && view.hand && (
+        <FlatList
+          data={view.hand}
+          renderItem={({ item, index }) => renderCard('hand', item, index)}
+          keyExtractor={(_, index) => index.toString()}
+          extraData={selected}
+          horizontal
+        />
+      )}
+      {/* Players who have finished, in order, and the shithead once the
+          game is over */}
+      {view && view.finishedOrder.length > 0 && (
+        <View style={styles.table}>
+          <Text style={styles.name}>Finished</Text>
+          {view.finishedOrder.map((id, index) => (
+            <Text key={id}>{index + 1}. {view.players[id].name}</Text>
+          ))}
+          {shithead && <Text>{shithead.name} is the shithead!</Text>}
+        </View>
+      )}
+      {game && !playing && <Button title="New game" onPress={() => setGame(null)} />}
+      {isHost && room.phase === 'finished' && <Button title="Rematch" onPress={() => send('rematch')} />}
+      {online && <Button title="Leave room" onPress={leave} />}
     </View>
   );
 }
@@ -198,10 +739,67 @@ const styles = StyleSheet.create({
     marginVertical: 10,
     textAlign: 'center',
   },
+  chat: {
+    fontSize: 14,
+    color: '#555',
+  },
+  reactions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginVertical: 5,
+  },
+  reaction: {
+    padding: 4,
+    margin: 2,
+    backgroundColor: '#e3f2fd',
+    borderRadius: 4,
+  },
+  input: {
+    width: 240,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 4,
+    padding: 8,
+    marginVertical: 4,
+  },
+  table: {
+    marginVertical: 10,
+    alignItems: 'center',
+  },
+  row: {
+    flexDirection: 'row',
+    marginVertical: 5,
+  },
+  opponent: {
+    alignItems: 'center',
+    padding: 6,
+    marginVertical: 2,
+    borderRadius: 4,
+  },
+  current: {
+    backgroundColor: '#fff3e0',
+  },
+  name: {
+    fontWeight: 'bold',
+  },
+  effect: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#d84315',
+    marginVertical: 5,
+  },
   card: {
     padding: 10,
     marginRight: 5,
     backgroundColor: '#eee',
     borderRadius: 4,
   },
+  playable: {
+    borderWidth: 2,
+    borderColor: '#66bb6a',
+  },
+  selected: {
+    backgroundColor: '#ffd54f',
+  },
 });
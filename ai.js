@@ -0,0 +1,394 @@
+/*
+ * Computer players for the Shithead engine.
+ *
+ * Every bot implements the same interface: given a player's view of the
+ * game (see Game#getPlayerView) it returns a move, without ever touching the
+ * Game itself.  Moves have the same shape as the action entries of the game
+ * log, so `game.applyAction({ ...move, player: seat })` carries them out:
+ *
+ *  • { type: 'swap', hand: card, faceUp: card }   during the setup phase
+ *  • { type: 'ready' }                             during the setup phase
+ *  • { type: 'play', cards: [card, …] }
+ *  • { type: 'pickup' }
+ *  • { type: 'blind', index }
+ *
+ * Three difficulty levels are provided.  The easy bot plays a random legal
+ * card and never swaps.  The medium bot keeps low cards in hand, plays its
+ * cheapest rank in full and saves its special cards.  The hard bot also
+ * picks its face‑up cards carefully, completes burns, holds on to 2s and
+ * 10s, dumps multiples and uses 7s against a player who is about to go out.
+ */
+
+const { canPlayOn } = require('./rules');
+const { Card, describeEffects, cardsKey } = require('./game');
+const { nextSeat } = require('./turns');
+
+/**
+ * Group cards by rank.
+ *
+ * @param {Array<{rank: number, suit: string}>} cards
+ * @returns {Array<Array<{rank: number, suit: string}>>} One array per rank.
+ */
+function groupByRank(cards) {
+  const groups = new Map();
+  for (const c of cards) {
+    if (!groups.has(c.rank)) groups.set(c.rank, []);
+    groups.get(c.rank).push(c);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Whether a rank has a power that lets it be played on anything.
+ *
+ * @param {number} rank
+ * @param {object} rules
+ * @returns {boolean}
+ */
+function isSpecial(rank, rules) {
+  return rules.wild.includes(rank) || rules.burn.includes(rank) || rules.transparent.includes(rank);
+}
+
+class Bot {
+  /**
+   * @param {object} [options]
+   * @param {function(): number} [options.random=Math.random] Source of
+   *        randomness, e.g. a seeded generator from createRng() for
+   *        reproducible simulations.
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.level = 'base';
+  }
+
+  /**
+   * Moves for the setup phase: any swaps followed by `ready`.
+   *
+   * @param {object} view
+   * @returns {object[]}
+   */
+  chooseSetup(view) {
+    return [...this.chooseSwaps(view), { type: 'ready' }];
+  }
+
+  /**
+   * Swaps to make before declaring ready.  The base bot keeps its deal.
+   *
+   * @param {object} view
+   * @returns {object[]}
+   */
+  chooseSwaps(view) {
+    return [];
+  }
+
+  /**
+   * Choose a move for the bot's turn.
+   *
+   * @param {object} view
+   * @returns {object}
+   */
+  chooseMove(view) {
+    if (view.activeZone === 'faceDown') {
+      return { type: 'blind', index: Math.floor(this.random() * view.faceDownCount) };
+    }
+    const cards = view.activeZone === 'faceUp' ? view.faceUp : view.hand;
+    const groups = groupByRank(cards.filter(c => canPlayOn(c, view.pile, view.rules)));
+    if (groups.length === 0) return { type: 'pickup' };
+    return { type: 'play', cards: this.choosePlay(groups, view) };
+  }
+
+  /**
+   * Pick the cards to play from the playable groups.
+   *
+   * @param {Array<Array<object>>} groups Playable cards grouped by rank.
+   * @param {object} view
+   * @returns {object[]} Cards of a single rank.
+   */
+  choosePlay(groups, view) {
+    return groups[0];
+  }
+}
+
+/**
+ * Plays a single random playable card and never swaps during setup.
+ */
+class EasyBot extends Bot {
+  constructor(options) {
+    super(options);
+    this.level = 'easy';
+  }
+
+  choosePlay(groups) {
+    const group = groups[Math.floor(this.random() * groups.length)];
+    return [group[0]];
+  }
+}
+
+/**
+ * Keeps low cards in hand, then always plays every card of its cheapest
+ * playable rank, only falling back on special cards when it must.
+ */
+class MediumBot extends Bot {
+  constructor(options) {
+    super(options);
+    this.level = 'medium';
+  }
+
+  /**
+   * The same "keep low cards in hand" heuristic as Game#autoSwap.
+   */
+  chooseSwaps(view) {
+    const hand = [...view.hand].sort((a, b) => a.rank - b.rank);
+    const faceUp = [...view.faceUp].sort((a, b) => a.rank - b.rank);
+    const swaps = [];
+    for (let j = 0; j < hand.length; j++) {
+      if (hand[j] && faceUp[j] && hand[j].rank > faceUp[j].rank) {
+        swaps.push({ type: 'swap', hand: hand[j], faceUp: faceUp[j] });
+      }
+    }
+    return swaps;
+  }
+
+  /**
+   * How reluctant the bot is to part with a rank.  Special cards are worth
+   * more than any ordinary card.
+   *
+   * @param {number} rank
+   * @param {object} rules
+   * @returns {number}
+   */
+  cost(rank, rules) {
+    return isSpecial(rank, rules) ? 100 + rank : rank;
+  }
+
+  choosePlay(groups, view) {
+    const byCost = [...groups].sort((a, b) => this.cost(a[0].rank, view.rules) - this.cost(b[0].rank, view.rules));
+    return byCost[0];
+  }
+}
+
+/**
+ * Builds on the medium bot with a few well known tactics.
+ */
+class HardBot extends MediumBot {
+  constructor(options) {
+    super(options);
+    this.level = 'hard';
+  }
+
+  /**
+   * Put the three most valuable cards face up (special cards, then high
+   * ranks) so that the hand keeps the low cards that are easy to get rid of
+   * early.
+   */
+  chooseSwaps(view) {
+    const value = c => (isSpecial(c.rank, view.rules) ? 100 + c.rank : c.rank);
+    const all = [...view.hand, ...view.faceUp].sort((a, b) => value(b) - value(a));
+    const keepUp = all.slice(0, view.faceUp.length);
+    const toFaceUp = view.hand.filter(c => keepUp.includes(c));
+    const toHand = view.faceUp.filter(c => !keepUp.includes(c));
+    return toFaceUp.map((c, i) => ({ type: 'swap', hand: c, faceUp: toHand[i] }));
+  }
+
+  choosePlay(groups, view) {
+    const { rules, pile } = view;
+    // Complete a burn when the pile already ends in a run of that rank
+    for (const group of groups) {
+      let run = 0;
+      for (let i = pile.length - 1; i >= 0 && pile[i].rank === group[0].rank; i--) run++;
+      if (run > 0 && run + group.length >= rules.burnCount) return group;
+    }
+    const ordinary = groups.filter(g => !isSpecial(g[0].rank, rules));
+    // Use a "lower" card (a 7) against a next player who is close to going out
+    const next = view.players[nextSeat(view.players, view.seat, view.direction)];
+    const nextCards = next.handCount + next.faceUp.length + next.faceDownCount;
+    const lowerGroup = ordinary.find(g => rules.lower.includes(g[0].rank));
+    if (lowerGroup && nextCards <= 3) return lowerGroup;
+    if (ordinary.length > 0) {
+      // Prefer low ranks, but dumping several cards at once is worth a
+      // couple of ranks per extra card
+      const score = g => g[0].rank - 2 * (g.length - 1);
+      return [...ordinary].sort((a, b) => score(a) - score(b))[0];
+    }
+    // Only special cards left.  Burn a big pile away, otherwise keep the
+    // burn cards and use a transparent or wild card first.
+    const special = rank => {
+      if (rules.burn.includes(rank)) return pile.length >= 5 ? 0 : 3;
+      if (rules.transparent.includes(rank)) return 1;
+      return 2;
+    };
+    return [...groups].sort((a, b) => special(a[0].rank) - special(b[0].rank))[0];
+  }
+}
+
+/**
+ * Stands in for a player who is idle or has lost their connection: picks
+ * up the pile whenever it can, and otherwise (on an empty pile or with only
+ * face‑down cards left) moves like the medium bot.
+ */
+class IdleBot extends MediumBot {
+  constructor(options) {
+    super(options);
+    this.level = 'idle';
+  }
+
+  chooseMove(view) {
+    if (view.activeZone !== 'faceDown' && view.pile.length > 0) return { type: 'pickup' };
+    return super.chooseMove(view);
+  }
+}
+
+const BOT_LEVELS = { easy: EasyBot, medium: MediumBot, hard: HardBot };
+
+/**
+ * Create a bot of the given difficulty.
+ *
+ * @param {string} [level='medium'] One of "easy", "medium" or "hard".
+ * @param {object} [options] Passed to the bot constructor.
+ * @returns {Bot}
+ */
+function createBot(level = 'medium', options = {}) {
+  const BotClass = Object.prototype.hasOwnProperty.call(BOT_LEVELS, level) ? BOT_LEVELS[level] : null;
+  if (!BotClass) throw new Error(`Unknown bot level: ${level}`);
+  return new BotClass(options);
+}
+
+/**
+ * Let a bot make its setup swaps and declare ready for the given seat.
+ *
+ * @param {Game} game
+ * @param {number} seat
+ * @param {Bot} bot
+ */
+function setupBot(game, seat, bot) {
+  for (const move of bot.chooseSetup(game.getPlayerView(seat))) {
+    game.applyAction({ ...move, player: seat });
+  }
+}
+
+/**
+ * Let a bot take the turn of the current player.
+ *
+ * @param {Game} game
+ * @param {Bot} bot
+ * @returns {{move: object, result: *}} The move made and what the game
+ *          reported back (e.g. the effects of a play).
+ */
+function playBotTurn(game, bot) {
+  const seat = game.currentPlayer;
+  const move = bot.chooseMove(game.getPlayerView(seat));
+  const result = game.applyAction({ ...move, player: seat });
+  return { move, result };
+}
+
+/**
+ * Recommend one of Game#legalMoves() for a player, as chosen by a bot
+ * looking at the player's own view of the game.  Front ends use it to
+ * give hints.
+ *
+ * @param {Game} game
+ * @param {Player} [player] Defaults to the player whose turn it is.
+ * @param {string} [level='hard'] Level of the bot giving the advice.
+ * @returns {object|null} The recommended move, null if the player cannot
+ *          move now.
+ */
+function hint(game, player = game.getCurrentPlayer(), level = 'hard') {
+  const moves = game.legalMoves(player);
+  if (moves.length === 0) return null;
+  const choice = createBot(level).chooseMove(game.getPlayerView(player.id));
+  const chosen = moves.find(move => move.type === choice.type
+    && (move.type !== 'blind' || move.index === choice.index)
+    && (move.type !== 'play' || cardsKey(move.cards) === cardsKey(choice.cards)));
+  return chosen || moves[0];
+}
+
+// Turns a game may run without a human move before it is declared stuck
+const MAX_BOT_TURNS = 2000;
+
+// Number of times a position may recur before the game is declared stuck
+const REPEAT_LIMIT = 3;
+
+/**
+ * A compact key for the current position, used to spot games that go
+ * round in circles.
+ *
+ * @param {Game} game
+ * @returns {string}
+ */
+function positionKey(game) {
+  const zone = list => list.map(c => c.toString()).join('');
+  return [
+    game.currentPlayer,
+    game.direction,
+    game.deck.cards.length,
+    zone(game.pile),
+    ...game.players.map(p => `${zone(p.hand)}|${zone(p.faceUp)}|${p.faceDown.length}`),
+  ].join('/');
+}
+
+/**
+ * Guard against bots playing a game that never ends: some deals leave bots
+ * passing the pile round forever.  Call the returned function before every
+ * bot turn; it returns true once the game is stuck, i.e. the same position
+ * has come up `repeatLimit` times or `maxTurns` turns have been played.
+ * Whoever runs the bots should then stop and end the game, e.g. with
+ * Game#getStalemateOrder().  Start a new guard whenever a human moves.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxTurns=MAX_BOT_TURNS]
+ * @param {number} [options.repeatLimit=REPEAT_LIMIT]
+ * @returns {function(Game): boolean}
+ */
+function createStalemateGuard({ maxTurns = MAX_BOT_TURNS, repeatLimit = REPEAT_LIMIT } = {}) {
+  const seen = new Map();
+  let turns = 0;
+  return (game) => {
+    if (turns >= maxTurns) return true;
+    const key = positionKey(game);
+    const count = (seen.get(key) || 0) + 1;
+    if (count >= repeatLimit) return true;
+    seen.set(key, count);
+    turns++;
+    return false;
+  };
+}
+
+/**
+ * Describe a move made through playBotTurn() as a status message.
+ *
+ * @param {string} name Name of the player who moved.
+ * @param {object} move The move.
+ * @param {*} result What the game returned for the move.
+ * @returns {string}
+ */
+function describeMove(name, move, result) {
+  if (move.type === 'pickup') return `${name} picks up the pile.`;
+  if (move.type === 'blind') {
+    return `${name} turns over ${result.card.toString()}${result.playable
+      ? describeEffects(result) || ' and plays it'
+      : ' and picks up the pile'}.`;
+  }
+  if (move.type === 'play') {
+    return `${name} plays ${move.cards.map(c => Card.fromJSON(c).toString()).join(', ')}${describeEffects(result)}.`;
+  }
+  if (move.type === 'swap') return `${name} swaps cards.`;
+  return `${name} is ready.`;
+}
+
+module.exports = {
+  Bot,
+  EasyBot,
+  MediumBot,
+  HardBot,
+  IdleBot,
+  BOT_LEVELS,
+  createBot,
+  setupBot,
+  playBotTurn,
+  hint,
+  describeMove,
+  MAX_BOT_TURNS,
+  REPEAT_LIMIT,
+  positionKey,
+  createStalemateGuard,
+};
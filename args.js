@@ -0,0 +1,29 @@
+/*
+ * Command line arguments, shared by the scripts that take options (cli.js
+ * and simulate.js).
+ */
+
+/**
+ * Parse command line arguments of the form `--name value`, `--name=value`
+ * or a bare `--flag`.
+ *
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[++i];
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,84 @@
+/*
+ * Table talk: the limits on chat messages and the preset quick reactions,
+ * shared by the server and the app.
+ */
+
+// Longest chat message accepted, in characters
+const MAX_MESSAGE_LENGTH = 200;
+
+// Number of messages kept per room and sent to players who join late
+const HISTORY_LENGTH = 50;
+
+// Each client may send at most this many messages in the given time
+const RATE_LIMIT = Object.freeze({ messages: 5, seconds: 10 });
+
+// Quick reactions by key, e.g. for a burn or a pick‑up
+const QUICK_REACTIONS = Object.freeze({
+  nice: 'Nice one!',
+  burn: 'Burn it all! 🔥',
+  pickup: 'Enjoy the pile! 😂',
+  ouch: 'Ouch! 😱',
+  hurry: 'Hurry up! ⏰',
+  gg: 'Good game! 🤝',
+});
+
+/**
+ * Check a chat message before it is sent on.
+ *
+ * @param {string} text
+ * @returns {string} The message with surrounding white space removed.
+ * @throws {Error} If the message is empty or too long.
+ */
+function checkMessage(text) {
+  if (typeof text !== 'string' || text.trim() === '') throw new Error('Messages cannot be empty.');
+  const trimmed = text.trim();
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters long.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Create a rate limiter allowing a number of messages within a sliding
+ * window of time.
+ *
+ * @param {{messages: number, seconds: number}} [limit=RATE_LIMIT]
+ * @returns {function(number=): boolean} Call it for every message; it
+ *          returns false when the message is one too many.
+ */
+function createRateLimiter(limit = RATE_LIMIT) {
+  const sent = [];
+  return (now = Date.now()) => {
+    while (sent.length > 0 && sent[0] <= now - limit.seconds * 1000) sent.shift();
+    if (sent.length >= limit.messages) return false;
+    sent.push(now);
+    return true;
+  };
+}
+
+/**
+ * The quick reaction that suits a game log entry, if any: a burn, a pile
+ * being picked up, a failed blind play or a player going out.
+ *
+ * @param {object} entry Entry of Game#log.
+ * @returns {string|null} Key of QUICK_REACTIONS.
+ */
+function reactionFor(entry) {
+  switch (entry.type) {
+    case 'burn': return 'burn';
+    case 'pickup': return 'pickup';
+    case 'blindFailed': return 'ouch';
+    case 'finish': return 'nice';
+    default: return null;
+  }
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  HISTORY_LENGTH,
+  RATE_LIMIT,
+  QUICK_REACTIONS,
+  checkMessage,
+  createRateLimiter,
+  reactionFor,
+};
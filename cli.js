@@ -1,123 +1,382 @@
 const readline = require('readline');
-const { Game } = require('./game');
+const { Game, ACTION_TYPES } = require('./game');
+const { RANK_JOKER } = require('./rules');
+const {
+  BOT_LEVELS, createBot, setupBot, playBotTurn, describeMove, createStalemateGuard, hint: suggestMove,
+} = require('./ai');
+const { parseArgs } = require('./args');
 
 /*
- * Simple command‑line interface to play a two‑player game of Shithead
- * against a very naive AI.  This script demonstrates how the core
- * Game logic can be used without any graphical user interface.  To play,
- * run `node cli.js` from the project root.  You will be prompted to
- * select cards to play or type `pickup` to take the pile.  The AI will
- * respond automatically by choosing the first valid card in its hand
- * each turn or picking up the pile if it has no playable cards.
+ * Command‑line interface to play Shithead in the terminal.  This script
+ * demonstrates how the core Game logic can be used without any graphical
+ * user interface.  To play, run `node cli.js` from the project root.
+ *
+ * By default you play against a computer opponent (a medium bot from
+ * ai.js; set SHITHEAD_BOT=easy or hard to change it).  `--seats` lists the
+ * players instead, 2 to 10 of them: a bot level for a computer player or a
+ * name for a human, e.g. `node cli.js --seats Ann,Bob,hard` for two people
+ * sharing the keyboard (hot seat) against a hard bot.  `--seed S` (or a
+ * plain number, `node cli.js 1234`) replays the same deal and `--rules`
+ * picks a house rule preset from rules.js or takes JSON overrides.
+ *
+ * Before every move the whole table is shown: each player's hand (the
+ * cards of the player to move, only a count for everybody else), face‑up
+ * cards and number of face‑down cards, the pile and the deck.  Players
+ * then type commands; "help" lists them.
  */
 
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
 });
+rl.on('close', () => process.exit(0));
 
-// Instantiate a new Game with two players.  The Game constructor
-// expects an array of player names.
-const game = new Game(['You', 'AI']);
+const args = parseArgs(process.argv.slice(2));
+const positional = process.argv[2] !== undefined && !process.argv[2].startsWith('--') ? process.argv[2] : undefined;
+const seedArg = args.seed !== undefined ? args.seed : positional;
+const seatSpec = args.seats ? args.seats.split(',') : ['You', process.env.SHITHEAD_BOT || 'medium'];
+if (seatSpec.length < 2 || seatSpec.length > 10) {
+  console.log('Between 2 and 10 seats are needed.');
+  process.exit(1);
+}
 
-// Determine starting player and begin the game loop.
-function start() {
-  console.log('Welcome to Shithead!');
-  showState();
-  nextTurn();
+// Every seat is either a human (bot: null) or a computer player with its
+// Bot from ai.js
+const seats = seatSpec.map((spec, i) => {
+  const level = spec.trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(BOT_LEVELS, level)) {
+    return { name: `${level[0].toUpperCase()}${level.slice(1)} bot ${i + 1}`, bot: createBot(level) };
+  }
+  return { name: spec.trim() || `Player ${i + 1}`, bot: null };
+});
+const humans = seats.filter(s => !s.bot).length;
+// A preset name, or JSON overrides as simulate.js takes them
+const rules = typeof args.rules === 'string' && args.rules.trim().startsWith('{') ? JSON.parse(args.rules) : args.rules;
+
+const game = new Game(seats.map(s => s.name), {
+  ...(seedArg !== undefined ? { seed: seedArg } : {}),
+  rules,
+});
+// Suggests swaps for the "hint" command
+const adviser = createBot('hard');
+// Seat whose cards were last shown, so that hot‑seat players are asked to
+// pass the keyboard on before the next player's cards are revealed
+let shownSeat = null;
+// Ends games the computer players keep going round in circles, e.g. with
+// `--seats medium,medium`; started afresh after every human move
+let stuck = createStalemateGuard();
+
+// Ranks as typed in "play" commands: a number or a letter, in the plural
+const RANK_WORDS = {
+  j: 11, jack: 11, q: 12, queen: 12, k: 13, king: 13, a: 14, ace: 14, jk: RANK_JOKER, joker: RANK_JOKER,
+};
+
+/**
+ * The rank meant by a token such as "7s", "10s", "js" or "aces".
+ *
+ * @param {string} token
+ * @returns {number|null} Null if the token is not a rank.
+ */
+function parseRank(token) {
+  const match = /^(.+?)s$/.exec(token);
+  if (!match) return null;
+  if (/^\d+$/.test(match[1])) {
+    const rank = Number(match[1]);
+    return rank >= 2 && rank <= 14 ? rank : null;
+  }
+  return RANK_WORDS[match[1]] || null;
+}
+
+/**
+ * The cards a "play" command names, from the zone the player plays from:
+ * positions ("play 0 2") or every card of a rank ("play 7s").  While
+ * playing from the hand, face‑up cards can join in by their position with
+ * a "u" in front ("play 0 u1"), as the `crossZoneCombos` rule allows.
+ *
+ * @param {Player} player
+ * @param {string[]} tokens
+ * @returns {Card[]}
+ */
+function chooseCards(player, tokens) {
+  const zone = game.activeZone(player);
+  if (zone === 'faceDown') throw new Error('Only face‑down cards are left: use "blind <index>".');
+  const cards = player[zone];
+  const chosen = [];
+  for (const token of tokens) {
+    const rank = parseRank(token);
+    const faceUp = zone === 'hand' && /^u(\d+)$/.exec(token);
+    let matches;
+    if (rank !== null) matches = cards.filter(c => c.rank === rank);
+    else if (faceUp) matches = [player.faceUp[Number(faceUp[1])]].filter(Boolean);
+    else matches = [cards[Number(token)]].filter(c => c && /^\d+$/.test(token));
+    if (matches.length === 0) throw new Error(`You have no card "${token}".`);
+    for (const card of matches) {
+      if (chosen.includes(card)) throw new Error(`${card.toString()} is named twice.`);
+      chosen.push(card);
+    }
+  }
+  if (chosen.length === 0) throw new Error('Name the cards to play, e.g. "play 0 2" or "play 7s".');
+  return chosen;
+}
+
+/**
+ * A hint for the player from the hard bot, written as the command to type.
+ * Swaps come from the adviser, moves during play from hint() in ai.js.
+ *
+ * @param {Player} player
+ * @returns {string}
+ */
+function hint(player) {
+  if (game.phase === 'setup') {
+    const swaps = adviser.chooseSwaps(game.getPlayerView(player.id));
+    if (swaps.length === 0) return 'ready';
+    const { hand, faceUp } = swaps[0];
+    const h = player.hand.findIndex(c => c.rank === hand.rank && c.suit === hand.suit);
+    const u = player.faceUp.findIndex(c => c.rank === faceUp.rank && c.suit === faceUp.suit);
+    return `swap ${h} ${u}`;
+  }
+  const move = suggestMove(game, player);
+  if (!move) return 'wait for your turn';
+  if (move.type === 'pickup') return 'pickup';
+  if (move.type === 'blind') return `blind ${move.index}`;
+  const zone = game.activeZone(player);
+  const positions = game.movePositions(player, move).cards
+    .map(card => (card.zone === zone ? `${card.index}` : `u${card.index}`));
+  return `play ${positions.join(' ')}`;
 }
 
-// Display current top of pile, your hand and face‑up cards.
-function showState() {
-  console.log('\nTop of pile:', game.getTopCard() ? game.getTopCard().toString() : 'Empty');
-  const human = game.players[0];
-  const handList = human.hand.map((c, i) => `${i}: ${c.toString()}`).join(' | ');
-  console.log('Your hand:', handList);
-  console.log('Your face‑up:', human.faceUp.map(c => c.toString()).join(', '));
-  console.log('Cards remaining in deck:', game.deck.cards.length);
+// Make sure the game is at the right stage for a command
+function requirePhase(phase) {
+  if (game.phase === phase) return;
+  throw new Error(phase === 'setup'
+    ? 'Cards can only be swapped before play starts.'
+    : 'Swap cards or type "ready" first.');
 }
 
-// Proceed to the next player's turn.
-function nextTurn() {
+/*
+ * The commands players can type.  Each `run` gets the player and the
+ * words after the command; it returns true once the player's move is
+ * made (or taken back), false to ask the same player again, and throws
+ * with a message for commands that cannot be carried out.
+ */
+const COMMANDS = {
+  play: {
+    usage: 'play <index>… | play <rank>s',
+    help: 'play cards by position, e.g. "play 0 2" (face‑up cards joining the hand as "u1"), or every card of a rank, e.g. "play 7s"',
+    run(player, tokens) {
+      requirePhase('play');
+      console.log(game.playTurn(player, chooseCards(player, tokens)));
+      return true;
+    },
+  },
+  pickup: {
+    usage: 'pickup',
+    help: 'pick up the pile',
+    run(player) {
+      requirePhase('play');
+      console.log(game.playTurn(player, []));
+      return true;
+    },
+  },
+  blind: {
+    usage: 'blind <index>',
+    help: 'turn over a face‑down card once your hand and face‑up cards are gone',
+    run(player, [token]) {
+      requirePhase('play');
+      const index = Number(token);
+      if (!/^\d+$/.test(token || '') || !player.faceDown[index]) throw new Error('Pick a face‑down card by its position.');
+      const { card, playable } = game.playBlind(player, index);
+      console.log(playable
+        ? `${player.name} turns over ${card.toString()} and plays it.`
+        : `${player.name} turns over ${card.toString()} and picks up the pile.`);
+      return true;
+    },
+  },
+  swap: {
+    usage: 'swap <hand index> <face‑up index>',
+    help: 'before play starts, exchange a hand card with a face‑up card',
+    run(player, tokens) {
+      requirePhase('setup');
+      const [h, u] = tokens.map(Number);
+      if (!player.hand[h] || !player.faceUp[u]) throw new Error('Swap one hand card with one face‑up card by position.');
+      game.swapCards(player, player.hand[h], player.faceUp[u]);
+      showTable(player.id);
+      return false;
+    },
+  },
+  ready: {
+    usage: 'ready',
+    help: 'finish swapping',
+    run(player) {
+      requirePhase('setup');
+      game.setReady(player);
+      return true;
+    },
+  },
+  hint: {
+    usage: 'hint',
+    help: 'suggest a move',
+    run(player) {
+      console.log(`Hint: ${hint(player)}`);
+      return false;
+    },
+  },
+  undo: {
+    usage: 'undo',
+    help: 'take back the last move made at the keyboard, and the computer players\' moves since',
+    run() {
+      const human = entry => ACTION_TYPES.includes(entry.type) && !entry.auto && !seats[entry.player].bot;
+      if (!game.log.some(human)) throw new Error('Nothing to undo.');
+      let action = game.undo();
+      while (!human(action)) action = game.undo();
+      console.log(`Took back ${game.players[action.player].name}'s ${action.type}.`);
+      return true;
+    },
+  },
+  state: {
+    usage: 'state',
+    help: 'show the table again',
+    run(player) {
+      showTable(player.id);
+      return false;
+    },
+  },
+  help: {
+    usage: 'help',
+    help: 'list the commands',
+    run() {
+      for (const { usage, help } of Object.values(COMMANDS)) console.log(`  ${usage.padEnd(36)} ${help}`);
+      return false;
+    },
+  },
+  quit: {
+    usage: 'quit',
+    help: 'stop playing',
+    run() {
+      rl.close();
+      return null;
+    },
+  },
+};
+
+/**
+ * Print the whole table as the given player may see it.
+ *
+ * @param {number} viewer Seat of the player about to move.
+ */
+function showTable(viewer) {
+  const list = cards => cards.map((c, i) => `${i}:${c.toString()}`).join(' ') || '-';
+  const top = game.getTopCard();
+  const count = game.pile.length;
+  console.log(`\nPile: ${top ? top.toString() : 'empty'} (${count} ${count === 1 ? 'card' : 'cards'})`
+    + ` | Deck: ${game.deck.cards.length}`
+    + ` | Direction: ${game.direction === 1 ? 'clockwise' : 'counter clockwise'}`);
+  for (const p of game.players) {
+    const position = game.finishedOrder.indexOf(p.id) + 1;
+    const marker = p.id === viewer ? '>' : ' ';
+    console.log(`${marker} ${p.name}${p.finished ? ` – finished #${position}` : ''}`);
+    if (p.finished) continue;
+    console.log(`    hand: ${p.id === viewer ? list(p.hand) : `${p.hand.length} cards`}`);
+    console.log(`    face up: ${list(p.faceUp)}   face down: ${p.faceDown.length}`);
+  }
+}
+
+// The seat that has to act: during setup the first human who is not
+// ready yet (computer players are set up straight away), then the player
+// whose turn it is.
+function actingSeat() {
+  if (game.phase === 'setup') return game.players.findIndex(p => !p.ready);
+  return game.currentPlayer;
+}
+
+// Play on until a human has to act, then ask them for a command.
+function step() {
   if (game.isGameOver()) {
     announceWinner();
     rl.close();
     return;
   }
-  const currentPlayer = game.players[game.currentPlayerIndex];
-  if (currentPlayer.name === 'You') {
-    promptHuman();
-  } else {
-    playAI(currentPlayer);
-    // after AI plays we immediately move to next turn
-    setImmediate(() => {
-      game.nextTurn();
-      nextTurn();
+  const seat = actingSeat();
+  const player = game.players[seat];
+  if (seats[seat].bot) {
+    if (stuck(game)) {
+      endStalemate();
+      return;
+    }
+    const { move, result } = playBotTurn(game, seats[seat].bot);
+    console.log(describeMove(player.name, move, result));
+    // playing or picking up already passes the turn on
+    setImmediate(step);
+    return;
+  }
+  if (humans > 1 && shownSeat !== seat) {
+    rl.question(`\nPass the keyboard to ${player.name} and press Enter. `, () => {
+      shownSeat = seat;
+      showTable(seat);
+      ask(seat);
     });
+    return;
   }
+  shownSeat = seat;
+  showTable(seat);
+  ask(seat);
 }
 
-// Prompt the human player for a move.
-function promptHuman() {
-  showState();
-  rl.question('Select card index to play or type "pickup": ', answer => {
-    const trimmed = answer.trim().toLowerCase();
-    const player = game.players[0];
-    if (trimmed === 'pickup') {
-      game.pickUpPile(player);
-      console.log('You picked up the pile.');
-      game.nextTurn();
-      nextTurn();
+// Read and carry out one command for the player in the given seat.
+function ask(seat) {
+  const player = game.players[seat];
+  rl.question(`${player.name}${game.phase === 'setup' ? ' (setup)' : ''}> `, answer => {
+    const [name, ...tokens] = answer.trim().toLowerCase().split(/\s+/);
+    const command = COMMANDS[name];
+    if (!command) {
+      if (name) console.log(`Unknown command "${name}". Type "help" for the list.`);
+      ask(seat);
       return;
     }
-    const index = parseInt(trimmed, 10);
-    if (isNaN(index) || index < 0 || index >= player.hand.length) {
-      console.log('Invalid input.');
-      promptHuman();
-      return;
+    let done;
+    try {
+      done = command.run(game.players[seat], tokens);
+    } catch (err) {
+      console.log(err.message);
+      done = false;
     }
-    const card = player.hand[index];
-    if (!game.isMoveValid(player, card)) {
-      console.log('That card cannot be played.');
-      promptHuman();
-      return;
+    if (done === null) return;
+    if (done) {
+      stuck = createStalemateGuard();
+      step();
     }
-    // play the selected card
-    game.playCards(player, [card], false);
-    console.log('You played', card.toString());
-    // Replenish hand if necessary
-    game.drawUpTo(player);
-    game.nextTurn();
-    nextTurn();
+    else ask(seat);
   });
 }
 
-// Very naive AI: play first valid card or pick up pile.
-function playAI(player) {
-  // try to find a playable card in hand
-  let played = false;
-  for (const card of player.hand) {
-    if (game.isMoveValid(player, card)) {
-      game.playCards(player, [card], false);
-      console.log('AI plays', card.toString());
-      game.drawUpTo(player);
-      played = true;
-      break;
-    }
-  }
-  if (!played) {
-    game.pickUpPile(player);
-    console.log('AI picks up the pile.');
-  }
-}
-
 function announceWinner() {
-  const winners = game.players.filter(p => p.finished);
-  if (winners.length > 0) {
-    console.log(`\n${winners[0].name} wins!`);
+  const winner = game.getWinner();
+  if (winner) {
+    console.log(`\n${winner.name} wins!`);
+    console.log(`${game.getShithead().name} is the shithead.`);
   } else {
     console.log('\nGame over, no winner.');
   }
 }
 
+// Stop a game that is stuck, ranking the players still in it by the
+// cards they hold (see Game#getStalemateOrder).
+function endStalemate() {
+  const order = game.getStalemateOrder();
+  console.log('\nThe game is going round in circles and ends here.');
+  console.log(`${order[0].name} wins!`);
+  console.log(`${order[order.length - 1].name} is the shithead.`);
+  rl.close();
+}
+
+// Let the computer players make their swaps, then hand over to the humans.
+function start() {
+  console.log('Welcome to Shithead! Type "help" for the commands.');
+  console.log(`Seed: ${game.seed}`);
+  seats.forEach((s, seat) => {
+    if (s.bot) setupBot(game, seat, s.bot);
+  });
+  step();
+}
+
 start();
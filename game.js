@@ -11,11 +11,12 @@
  *    cards, three face‑up cards and a starting hand of three cards.  At the
  *    beginning of the game players may swap cards between their hand and
  *    their face‑up cards.  Play proceeds clockwise.
- *  • Cards rank from low to high: 3, 4, 5, 6, 7, 8, 9, 10, J, Q, K, A.
- *    An Ace is high.  Twos are treated as wild cards that can be played on
- *    anything and reset the pile; tens always burn the pile; eights are
- *    transparent; sevens require the next card to be equal to or below a
- *    seven; fives skip the next player; four of a kind burns the pile.
+ *  • Cards rank from low to high: 3, 4, 5, 6, 7, 8, 9, 10, J, Q, K, A.
+ *    An Ace is high.  By default twos are treated as wild cards that can be
+ *    played on anything and reset the pile; tens always burn the pile;
+ *    eights are transparent; sevens require the next card to be equal to or
+ *    below a seven; fives skip the next player; four of a kind burns the
+ *    pile.  Which ranks carry which powers is configurable, see rules.js.
  *  • Players may play any number of cards of the same rank on their turn,
  *    provided the play is legal against the top of the discard pile.  After
  *    playing cards the player's hand is replenished from the deck until it
@@ -32,6 +33,9 @@
  * complete description of the game rules.
  */
 
+const { RANK_JOKER, resolveRules, effectiveTop, canPlayOn } = require('./rules');
+const { nextSeat, passTurn } = require('./turns');
+
 class Card {
   /**
    * Construct a card.
@@ -54,40 +58,158 @@ class Card {
       11: 'J',
       12: 'Q',
       13: 'K',
-      14: 'A'
+      14: 'A',
+      [RANK_JOKER]: 'JK'
     };
     const rankStr = names[this.rank] || this.rank.toString();
     const suitSymbols = {
       hearts: '♥',
       diamonds: '♦',
       clubs: '♣',
-      spades: '♠'
+      spades: '♠',
+      joker: ''
     };
     return `${rankStr}${suitSymbols[this.suit]}`;
   }
+
+  /**
+   * Plain object representation used by Game.toJSON().
+   * @returns {{rank: number, suit: string}}
+   */
+  toJSON() {
+    return { rank: this.rank, suit: this.suit };
+  }
+
+  /**
+   * Rebuild a card from the output of toJSON().
+   *
+   * @param {{rank: number, suit: string}} data
+   * @returns {Card}
+   */
+  static fromJSON(data) {
+    return new Card(data.rank, data.suit);
+  }
+}
+
+/**
+ * Turn a seed into a 32‑bit unsigned integer.  Numbers, and strings of
+ * digits such as a printed seed typed back in on the command line, are
+ * used as is; other strings (for example a date for a "daily deal") are
+ * hashed with FNV‑1a.
+ *
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number') return seed >>> 0;
+  if (/^\d+$/.test(seed)) return Number(seed) >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a small seeded pseudo random number generator (mulberry32).  The
+ * returned function behaves like Math.random(): every call yields a number
+ * in [0, 1), and two generators created from the same seed produce the same
+ * sequence.
+ *
+ * @param {number|string} seed
+ * @returns {function(): number}
+ */
+function createRng(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for games that were not given one, so that every game
+ * can still be replayed from its `seed` afterwards.
+ *
+ * @returns {number}
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Players one standard deck is dealt to; larger tables get another deck
+// for every five players (two decks for 6–10 players)
+const PLAYERS_PER_DECK = 5;
+
+// Most decks a game can be dealt from, for up to twenty players
+const MAX_DECKS = 4;
+
+// Cards every player is dealt: three face down, three face up, three in hand
+const CARDS_PER_PLAYER = 9;
+
+/**
+ * Number of decks to play with when a game does not say: one deck for up
+ * to five players, two for six to ten and so on.
+ *
+ * @param {number} players
+ * @returns {number}
+ */
+function decksFor(players) {
+  return Math.max(1, Math.ceil(players / PLAYERS_PER_DECK));
 }
 
 class Deck {
-  constructor() {
+  /**
+   * Build a shoe of one or more 52‑card decks and shuffle it.
+   *
+   * @param {object} [options]
+   * @param {number|string} [options.seed] Seed for the shuffle.  The same
+   *        seed always yields the same order.  Defaults to a random seed.
+   * @param {Array<Card|{rank: number, suit: string}>} [options.cards]
+   *        Pre‑arranged deck, listed in the order the cards will be dealt
+   *        (the first entry is drawn first).  No shuffle is applied.
+   * @param {number} [options.decks=1] Number of standard decks shuffled
+   *        together.  Every card then appears once per deck.
+   * @param {number} [options.jokers=0] Number of jokers to add to each
+   *        deck.
+   */
+  constructor(options = {}) {
+    this.random = createRng(options.seed !== undefined ? options.seed : randomSeed());
+    if (options.cards) {
+      this.cards = options.cards
+        .map(c => (c instanceof Card ? c : new Card(c.rank, c.suit)))
+        .reverse();
+      return;
+    }
     this.cards = [];
     const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
     // Ranks from 3 to Ace (14) plus 2.  We append 2 at the end because
     // wild cards are treated specially when determining the first player.
     const ranks = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 2];
-    for (const suit of suits) {
-      for (const rank of ranks) {
-        this.cards.push(new Card(rank, suit));
+    for (let d = 0; d < (options.decks || 1); d++) {
+      for (const suit of suits) {
+        for (const rank of ranks) {
+          this.cards.push(new Card(rank, suit));
+        }
+      }
+      for (let i = 0; i < (options.jokers || 0); i++) {
+        this.cards.push(new Card(RANK_JOKER, 'joker'));
       }
     }
     this.shuffle();
   }
 
   /**
-   * Shuffle the deck in place using the Fisher–Yates algorithm.
+   * Shuffle the deck in place using the Fisher–Yates algorithm, drawing
+   * randomness from the deck's seeded generator.
    */
   shuffle() {
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
@@ -102,11 +224,19 @@ class Deck {
 }
 
 class Player {
-  constructor(id) {
+  /**
+   * Construct a player.
+   *
+   * @param {number} id Seat index of the player at the table.
+   * @param {string} [name] Display name.  Defaults to "Player <id>".
+   */
+  constructor(id, name) {
     this.id = id;
+    this.name = name || `Player ${id}`;
     this.hand = [];
     this.faceUp = [];
     this.faceDown = [];
+    this.ready = false; // done swapping during the setup phase
     this.finished = false;
   }
 
@@ -123,34 +253,522 @@ class Player {
   }
 }
 
+/**
+ * A key identifying a set of cards by rank and suit, whatever their order.
+ *
+ * @param {Array<{rank: number, suit: string}>} cards
+ * @returns {string}
+ */
+function cardsKey(cards) {
+  return cards.map(c => `${c.rank}${c.suit}`).sort().join(',');
+}
+
+/**
+ * Every non‑empty subset of the given cards, smallest first.  Identical
+ * cards (from several decks) are interchangeable, so subsets that differ
+ * only in which copy they hold are listed once: the subsets are counted
+ * out by how many copies of each distinct card they take, which keeps
+ * their number down to the product of (copies + 1) over the cards.
+ *
+ * @param {Card[]} cards
+ * @returns {Card[][]}
+ */
+function cardSubsets(cards) {
+  const groups = new Map();
+  for (const card of cards) {
+    const key = cardsKey([card]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(card);
+  }
+  const copies = [...groups.values()];
+  const counts = copies.map(() => 0);
+  const subsets = [];
+  for (;;) {
+    // Step to the next combination of counts, the first card changing fastest
+    let i = 0;
+    while (i < copies.length && counts[i] === copies[i].length) counts[i++] = 0;
+    if (i === copies.length) break;
+    counts[i]++;
+    subsets.push(copies.flatMap((group, g) => group.slice(0, counts[g])));
+  }
+  return subsets.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Describe the effects of a play (as returned by Game#playCards) as the
+ * tail of a status message, e.g. " and burns the pile".
+ *
+ * @param {{burn: boolean, skip: number, reset: boolean, reverse: boolean}} effects
+ * @returns {string} Empty if the play had no special effect.
+ */
+function describeEffects({ burn, skip, reset, reverse }) {
+  return `${burn ? ' and burns the pile' : ''}${skip > 0 ? ' and skips ' + skip + ' player(s)' : ''}${reset ? ' and resets the pile' : ''}${reverse ? ' and reverses the direction of play' : ''}`;
+}
+
+/**
+ * Log entry types that represent a decision made by a player.  These are
+ * the entries Game.replay() re‑applies; every other entry (burn, skip,
+ * blindFailed, …) is a consequence the engine derives again on replay.
+ */
+const ACTION_TYPES = ['swap', 'ready', 'play', 'pickup', 'blind'];
+
+/**
+ * The event a Game emits (see Game#on) for each type of log entry.  A
+ * pile picked up after a failed blind play is a `pilePickedUp` too.
+ */
+const LOG_EVENTS = {
+  play: 'cardsPlayed',
+  burn: 'pileBurned',
+  reset: 'pileReset',
+  skip: 'playersSkipped',
+  reverse: 'directionReversed',
+  pickup: 'pilePickedUp',
+  blindFailed: 'pilePickedUp',
+  blind: 'blindCardRevealed',
+  finish: 'playerFinished',
+};
+
+/**
+ * Every event a Game emits, in the order they occur within a move.
+ */
+const GAME_EVENTS = ['turnStarted', ...new Set(Object.values(LOG_EVENTS)), 'gameOver'];
+
 class Game {
   /**
-   * Create a new game with the specified number of players.
+   * Create a new game.
    *
-   * @param {number} numPlayers Between 2 and 5 players is typical.
+   * @param {number|string[]} players Either the number of players (between
+   *        2 and 5 is typical for one deck, up to 10 with two) or an array
+   *        of player names, one per seat.
+   * @param {object} [options]
+   * @param {number|string} [options.seed] Seed for shuffling.  Games created
+   *        with the same seed and players have the same deal, first player
+   *        and draws.  A random seed is chosen (and kept in `seed`) if omitted.
+   * @param {Array<Card|{rank: number, suit: string}>} [options.deck]
+   *        Pre‑arranged deck order, first card dealt first.  Overrides the
+   *        shuffle.
+   * @param {number} [options.decks] Number of decks to shuffle together,
+   *        up to MAX_DECKS.  Defaults to one deck per five players (see
+   *        decksFor()).
+   * @param {string|object} [options.rules] House rules: the name of a preset
+   *        from rules.js or an object of overrides.  Defaults to the classic
+   *        rules.
+   * @param {boolean} [options.setupPhase=true] Start with a setup phase in
+   *        which each player swaps hand and face‑up cards and declares
+   *        ready.  Set to false to swap everyone automatically and start
+   *        playing immediately.
+   * @param {boolean} [options.deal=true] Set to false to skip dealing, for
+   *        example when the state is about to be restored from a snapshot.
    */
-  constructor(numPlayers = 2) {
-    if (numPlayers < 2) throw new Error('At least two players are required');
-    this.players = [];
-    for (let i = 0; i < numPlayers; i++) {
-      this.players.push(new Player(i));
+  constructor(players = 2, options = {}) {
+    const names = Array.isArray(players)
+      ? players
+      : Array.from({ length: players }, () => undefined);
+    if (names.length < 2) throw new Error('At least two players are required');
+    this.players = names.map((name, i) => new Player(i, name));
+    this.seed = options.seed !== undefined ? options.seed : randomSeed();
+    this.rules = resolveRules(options.rules);
+    const decks = options.decks !== undefined ? options.decks : decksFor(names.length);
+    if (!Number.isInteger(decks) || decks < 1 || decks > MAX_DECKS) {
+      throw new Error(`Play with between 1 and ${MAX_DECKS} whole decks, which is enough for ${MAX_DECKS * PLAYERS_PER_DECK} players`);
+    }
+    this.deck = new Deck({ seed: this.seed, cards: options.deck, decks, jokers: this.rules.jokers });
+    const needed = names.length * CARDS_PER_PLAYER;
+    if (this.deck.cards.length < needed) {
+      if (options.deck) {
+        throw new Error(
+          `${names.length} players need ${needed} cards but the deck given only holds ${this.deck.cards.length}`,
+        );
+      }
+      const need = Math.ceil(needed / (this.deck.cards.length / decks));
+      throw new Error(
+        `${names.length} players need ${needed} cards but ${decks} `
+        + `deck${decks === 1 ? '' : 's'} only hold${decks === 1 ? 's' : ''} ${this.deck.cards.length}; `
+        + `play with at least ${need} decks`,
+      );
     }
-    this.deck = new Deck();
     this.discard = [];
     this.pile = [];
     this.currentPlayer = 0;
-    this.direction = 1; // 1 → clockwise, –1 → counter clockwise (not used here but could support reversals)
-    this.skipCount = 0; // number of players to skip due to fives
-    this.initDeal();
+    this.phase = 'setup'; // 'setup' while players swap cards, then 'play'
+    this.direction = 1; // 1 → clockwise, –1 → counter clockwise (changed by reverse cards)
+    this.finishedOrder = []; // ids of players in the order they went out
+    // Everything needed to deal this game again from scratch
+    this.setup = {
+      players: this.players.map(p => p.name),
+      seed: this.seed,
+      deck: options.deck ? options.deck.map(c => ({ rank: c.rank, suit: c.suit })) : undefined,
+      decks,
+      rules: this.rules,
+      setupPhase: options.setupPhase !== false,
+    };
+    this.log = []; // structured record of every action and its effects
+    this.redoStack = []; // actions taken back by undo(), most recent last
+    this.listeners = {}; // event listeners by event type, see on()
+    this.pendingEvents = []; // events of the move being made, see emitEvents()
+    if (options.deal !== false) this.initDeal();
+  }
+
+  /**
+   * Append an entry to the move log.
+   *
+   * @param {string} type Event type, e.g. "play", "pickup" or "burn".
+   * @param {Player} player Player the event concerns.
+   * @param {object} [details] Extra fields for the entry.
+   */
+  record(type, player, details = {}) {
+    const entry = { type, player: player.id, ...details };
+    this.log.push(entry);
+    if (LOG_EVENTS[type]) this.pendingEvents.push({ ...entry, type: LOG_EVENTS[type] });
+  }
+
+  /**
+   * Subscribe to the game's events, e.g. for animations, sounds or to pass
+   * them on over the network.  Every event is a plain object with its
+   * `type` (one of GAME_EVENTS, or any of them for "*"):
+   *
+   *  • turnStarted        `player` to move and the `zone` they play from
+   *  • cardsPlayed        `player` and `cards`, with `blind: true` for a
+   *                       face‑down card that could be played
+   *  • pileBurned         `player` and `cause`, 'card' or 'set'
+   *  • pileReset          `player` who played the wild card
+   *  • playersSkipped     `player`, `count` and the `players` skipped
+   *  • directionReversed  `player` and the new `direction`
+   *  • pilePickedUp       `player` and `count`, plus the `card` turned over
+   *                       after a failed blind play
+   *  • blindCardRevealed  `player`, `index`, `card` and whether it is
+   *                       `playable`
+   *  • playerFinished     `player` and their `position`
+   *  • gameOver           `finishingOrder` (seats) and the `shithead`
+   *
+   * Players are given by seat and cards as plain `{ rank, suit }` data, as
+   * in the log.  Listeners are called once a move is complete, with the
+   * events in the order they happened, so they see the game as it stands
+   * after the move.  Games rebuilt by replay() or fromJSON() start without
+   * listeners; undo() keeps them but emits nothing.
+   *
+   * @param {string} type
+   * @param {function(object)} listener
+   * @returns {function()} Call it to unsubscribe again.
+   */
+  on(type, listener) {
+    if (type !== '*' && !GAME_EVENTS.includes(type)) throw new Error(`Unknown game event: ${type}`);
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe a listener added with on().
+   *
+   * @param {string} type
+   * @param {function(object)} listener
+   */
+  off(type, listener) {
+    const listeners = this.listeners[type] || [];
+    if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+  }
+
+  /**
+   * Emit the events of the move just made, followed by turnStarted for the
+   * player to move next or by gameOver.
+   */
+  emitEvents() {
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    if (this.phase === 'play' && this.isGameOver()) {
+      const shithead = this.getShithead();
+      events.push({
+        type: 'gameOver',
+        finishingOrder: this.getFinishingOrder().map(p => p.id),
+        shithead: shithead ? shithead.id : null,
+      });
+    } else if (this.phase === 'play') {
+      events.push({ type: 'turnStarted', player: this.currentPlayer, zone: this.activeZone(this.getCurrentPlayer()) });
+    }
+    for (const event of events) {
+      const listeners = [...(this.listeners[event.type] || []), ...(this.listeners['*'] || [])];
+      for (const listener of listeners) listener(event);
+    }
+  }
+
+  /**
+   * Apply a logged action (an entry whose type is in ACTION_TYPES) to this
+   * game.  Cards are matched by rank and suit against the player's cards.
+   * Moves chosen by the bots in ai.js have the same shape, so this is also
+   * how a bot's move is carried out.
+   *
+   * @param {{type: string, player: number, cards?: Array<{rank: number, suit: string}>}} action
+   * @returns {*} Whatever the underlying method returns, e.g. the effects
+   *          of a play.
+   */
+  applyAction(action) {
+    const player = this.players[action.player];
+    if (!player) throw new Error('Unknown player.');
+    const find = (zone, want) => {
+      const card = want && zone.find(c => c.rank === want.rank && c.suit === want.suit);
+      if (!card) throw new Error(`${player.name} does not hold that card`);
+      return card;
+    };
+    if (action.type === 'swap') {
+      return this.swapCards(player, find(player.hand, action.hand), find(player.faceUp, action.faceUp));
+    } else if (action.type === 'ready') {
+      return this.setReady(player);
+    } else if (action.type === 'pickup') {
+      return this.pickUpPile(player);
+    } else if (action.type === 'blind') {
+      return this.playBlind(player, action.index);
+    } else if (action.type === 'play') {
+      const owned = [...player.hand, ...player.faceUp];
+      const cards = (action.cards || []).map(want => {
+        const idx = owned.findIndex(c => c.rank === want.rank && c.suit === want.suit);
+        if (idx < 0) throw new Error(`${player.name} does not hold that card`);
+        return owned.splice(idx, 1)[0];
+      });
+      return this.playCards(player, cards);
+    }
+    throw new Error(`Unknown action type: ${action.type}`);
+  }
+
+  /**
+   * Deal a game again from its setup and re‑apply the logged actions.
+   *
+   * @param {{players: string[], seed: number|string, deck?: Array}} setup
+   *        The `setup` of the original game.
+   * @param {object[]} log The original game's `log`.
+   * @param {number} [upTo=log.length] Only replay actions among the first
+   *        `upTo` log entries, to stop at any earlier point of the game.
+   * @returns {Game}
+   */
+  static replay(setup, log, upTo = log.length) {
+    const game = new Game(setup.players, {
+      seed: setup.seed,
+      deck: setup.deck,
+      decks: setup.decks,
+      rules: setup.rules,
+      setupPhase: setup.setupPhase,
+    });
+    for (const entry of log.slice(0, upTo)) {
+      if (ACTION_TYPES.includes(entry.type) && !entry.auto) game.applyAction(entry);
+    }
+    return game;
+  }
+
+  /**
+   * Take back the most recent action.  The game is rebuilt by replaying
+   * the log up to that action, so Player objects are replaced; look them up
+   * again through `players` afterwards.
+   *
+   * @returns {object|null} The action that was undone, or null if there
+   *          was nothing to undo.
+   */
+  undo() {
+    let idx = this.log.length - 1;
+    while (idx >= 0 && (!ACTION_TYPES.includes(this.log[idx].type) || this.log[idx].auto)) idx--;
+    if (idx < 0) return null;
+    const action = this.log[idx];
+    const redoStack = [...this.redoStack, action];
+    const { listeners } = this;
+    Object.assign(this, Game.replay(this.setup, this.log, idx));
+    this.redoStack = redoStack;
+    this.listeners = listeners;
+    return action;
+  }
+
+  /**
+   * Re‑apply the action most recently taken back by undo().  Taking any
+   * other action clears the redo history.
+   *
+   * @returns {object|null} The action that was redone, or null.
+   */
+  redo() {
+    const action = this.redoStack[this.redoStack.length - 1];
+    if (!action) return null;
+    const redoStack = this.redoStack.slice(0, -1);
+    this.applyAction(action);
+    this.redoStack = redoStack;
+    return action;
+  }
+
+  /**
+   * Snapshot of the complete game state as plain JSON‑safe data.  Card
+   * order is preserved in every zone; the deck is listed bottom to top, so
+   * its last card is the next one drawn.
+   *
+   * @returns {object}
+   */
+  toJSON() {
+    const cards = list => list.map(c => c.toJSON());
+    return {
+      version: 1,
+      seed: this.seed,
+      players: this.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        hand: cards(p.hand),
+        faceUp: cards(p.faceUp),
+        faceDown: cards(p.faceDown),
+        ready: p.ready,
+        finished: p.finished,
+      })),
+      deck: cards(this.deck.cards),
+      pile: cards(this.pile),
+      discard: cards(this.discard),
+      phase: this.phase,
+      currentPlayer: this.currentPlayer,
+      direction: this.direction,
+      finishedOrder: [...this.finishedOrder],
+      setup: this.setup,
+      log: this.log,
+    };
+  }
+
+  /**
+   * Reconstruct a game from a snapshot produced by toJSON().  The result
+   * continues from exactly the saved position.
+   *
+   * @param {object|string} data Snapshot object or its JSON string.
+   * @returns {Game}
+   */
+  static fromJSON(data) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    if (!data || data.version !== 1 || !Array.isArray(data.players)) {
+      throw new Error('Unsupported game snapshot');
+    }
+    const cards = list => (list || []).map(c => Card.fromJSON(c));
+    const game = new Game(data.players.map(p => p.name), {
+      seed: data.seed,
+      decks: data.setup && data.setup.decks,
+      rules: data.setup && data.setup.rules,
+      setupPhase: data.setup && data.setup.setupPhase,
+      deal: false,
+    });
+    data.players.forEach((p, i) => {
+      const player = game.players[i];
+      player.hand = cards(p.hand);
+      player.faceUp = cards(p.faceUp);
+      player.faceDown = cards(p.faceDown);
+      player.ready = !!p.ready;
+      player.finished = !!p.finished;
+    });
+    game.deck.cards = cards(data.deck);
+    game.pile = cards(data.pile);
+    game.discard = cards(data.discard);
+    game.phase = data.phase;
+    game.currentPlayer = data.currentPlayer;
+    game.direction = data.direction;
+    game.finishedOrder = [...(data.finishedOrder || [])];
+    if (data.setup) game.setup = data.setup;
+    game.log = (data.log || []).map(entry => ({ ...entry }));
+    return game;
+  }
+
+  /**
+   * Index of the player whose turn it is.  Alias of `currentPlayer` for
+   * front ends that prefer the more explicit name.
+   *
+   * @returns {number}
+   */
+  get currentPlayerIndex() {
+    return this.currentPlayer;
+  }
+
+  /**
+   * The player whose turn it is.
+   *
+   * @returns {Player}
+   */
+  getCurrentPlayer() {
+    return this.players[this.currentPlayer];
+  }
+
+  /**
+   * The card most recently laid on the pile, or null if the pile is empty.
+   * Note that this may be a transparent eight; use topEffectiveCard() to
+   * find the card the next play must beat.
+   *
+   * @returns {Card|null}
+   */
+  getTopCard() {
+    return this.pile.length > 0 ? this.pile[this.pile.length - 1] : null;
+  }
+
+  /**
+   * Everything anyone watching the table can see, as plain data: the pile,
+   * the size of the stock and, for every player, only the hand size,
+   * face‑up cards and number of face‑down cards, and who has finished in
+   * which order.  This is what spectators are sent.
+   *
+   * @returns {object}
+   */
+  getPublicView() {
+    const cards = list => list.map(c => c.toJSON());
+    return {
+      seat: null,
+      phase: this.phase,
+      rules: this.rules,
+      currentPlayer: this.currentPlayer,
+      direction: this.direction,
+      pile: cards(this.pile),
+      decks: this.setup.decks,
+      deckCount: this.deck.cards.length,
+      discardCount: this.discard.length,
+      finishedOrder: [...this.finishedOrder],
+      players: this.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        handCount: p.hand.length,
+        faceUp: cards(p.faceUp),
+        faceDownCount: p.faceDown.length,
+        ready: p.ready,
+        finished: p.finished,
+      })),
+    };
+  }
+
+  /**
+   * Entries of the game log as everyone may see them, e.g. as a move
+   * stream for spectators.  Swaps only say who swapped, as the cards would
+   * reveal what is in the player's hand.
+   *
+   * @param {number} [from=0] Index of the first log entry.
+   * @param {number} [to=log.length] Index after the last log entry.
+   * @returns {object[]}
+   */
+  getPublicEvents(from = 0, to = this.log.length) {
+    return this.log.slice(from, to).map(e => (e.type === 'swap' ? { type: 'swap', player: e.player } : e));
+  }
+
+  /**
+   * Everything the given seat is allowed to know about the game: the
+   * public view plus their own hand and face‑up cards in full.  Opponents'
+   * hands and all face‑down cards stay hidden.  This is what the bots in
+   * ai.js decide on and what the server sends each player.
+   *
+   * @param {number} seat Index of the player whose view to build.
+   * @returns {object}
+   */
+  getPlayerView(seat) {
+    const me = this.players[seat];
+    if (!me) throw new Error(`No player in seat ${seat}`);
+    return {
+      ...this.getPublicView(),
+      seat,
+      hand: me.hand.map(c => c.toJSON()),
+      faceUp: me.faceUp.map(c => c.toJSON()),
+      faceDownCount: me.faceDown.length,
+      activeZone: this.activeZone(me),
+    };
   }
 
   /**
    * Deal cards and set up face down/up piles.  According to the rules each
    * player receives three face‑down cards, three face‑up cards placed on
-   * top of the face‑downs and a hand of three cards.  Players may swap any
-   * number of their hand cards with their face‑up cards at the start; by
-   * default this implementation automatically keeps lower cards in hand
-   * (so that face‑up cards tend to be higher)【577999048044119†L50-L76】.
+   * top of the face‑downs and a hand of three cards.  Players may then swap
+   * any number of their hand cards with their face‑up cards during the
+   * setup phase (see swapCards() and setReady()).  When the game was
+   * created with `setupPhase: false` every player is instead swapped
+   * automatically with autoSwap() and play starts straight away.
    */
   initDeal() {
     // Deal three face down cards to each player
@@ -174,55 +792,107 @@ class Game {
         if (card) player.hand.push(card);
       }
     }
-    // Let players exchange cards: move higher cards to face‑up and keep low
-    // cards in hand.  This is a simple heuristic for automated swapping.
-    for (const player of this.players) {
-      // Sort hand so low cards come first
-      player.hand.sort((a, b) => a.rank - b.rank);
-      // Sort faceUp so high cards come last
-      player.faceUp.sort((a, b) => a.rank - b.rank);
-      // If there is a low card in face up and a high card in hand, swap
-      for (let j = 0; j < player.hand.length; j++) {
-        const handCard = player.hand[j];
-        const upCard = player.faceUp[j];
-        if (handCard && upCard && handCard.rank > upCard.rank) {
-          player.hand[j] = upCard;
-          player.faceUp[j] = handCard;
-        }
+    if (!this.setup.setupPhase) {
+      for (const player of this.players) {
+        this.autoSwap(player);
       }
+      // These swaps are part of dealing, so a replay must not repeat them
+      for (const entry of this.log) entry.auto = true;
     }
-    // Determine the first player: the player who holds the lowest card in
-    // their hand (including special cards).  Twos are considered lowest
-    // because they can always be played【416014327271259†L118-L125】.
+  }
+
+  /**
+   * During the setup phase, exchange one of the player's hand cards with
+   * one of their face‑up cards.  Each card takes the other's position.
+   *
+   * @param {Player} player
+   * @param {Card} handCard Card currently in the player's hand.
+   * @param {Card} faceUpCard Card currently among the player's face‑ups.
+   */
+  swapCards(player, handCard, faceUpCard) {
+    if (this.phase !== 'setup') throw new Error('Cards can only be swapped before play starts.');
+    if (player.ready) throw new Error(`${player.name} is already ready.`);
+    const h = player.hand.indexOf(handCard);
+    const u = player.faceUp.indexOf(faceUpCard);
+    if (h < 0 || u < 0) throw new Error('Swap one hand card with one face‑up card.');
+    this.redoStack = [];
+    this.record('swap', player, { hand: handCard.toJSON(), faceUp: faceUpCard.toJSON() });
+    player.hand[h] = faceUpCard;
+    player.faceUp[u] = handCard;
+  }
+
+  /**
+   * Declare that the player has finished swapping.  Once every player is
+   * ready the player holding the lowest card starts.
+   *
+   * @param {Player} player
+   */
+  setReady(player) {
+    if (this.phase !== 'setup') throw new Error('The game has already started.');
+    if (player.ready) throw new Error(`${player.name} is already ready.`);
+    this.redoStack = [];
+    this.record('ready', player);
+    player.ready = true;
+    if (this.players.every(p => p.ready)) {
+      this.phase = 'play';
+      this.currentPlayer = this.findStartingPlayer();
+    }
+    this.emitEvents();
+  }
+
+  /**
+   * Swap and declare ready using a simple heuristic: move higher cards to
+   * face‑up and keep low cards in hand.  This is the default for computer
+   * controlled seats.
+   *
+   * @param {Player} player
+   */
+  autoSwap(player) {
+    // Pair the hand and face‑up cards off from lowest to highest
+    const hand = [...player.hand].sort((a, b) => a.rank - b.rank);
+    const faceUp = [...player.faceUp].sort((a, b) => a.rank - b.rank);
+    // If there is a low card in face up and a high card in hand, swap
+    for (let j = 0; j < hand.length; j++) {
+      const handCard = hand[j];
+      const upCard = faceUp[j];
+      if (handCard && upCard && handCard.rank > upCard.rank) {
+        this.swapCards(player, handCard, upCard);
+      }
+    }
+    this.setReady(player);
+  }
+
+  /**
+   * Determine the first player: the player who holds the lowest card in
+   * their hand (including special cards).  Wild cards (twos by default) are
+   * considered lowest because they can always be played【416014327271259†L118-L125】.
+   *
+   * @returns {number} Index of the starting player.
+   */
+  findStartingPlayer() {
     let lowestRank = Infinity;
     let startingPlayer = 0;
     for (const player of this.players) {
       for (const c of player.hand) {
-        const value = c.rank === 2 ? 1 : c.rank;
+        const value = this.rules.wild.includes(c.rank) ? 1 : c.rank;
         if (value < lowestRank) {
           lowestRank = value;
           startingPlayer = player.id;
         }
       }
     }
-    this.currentPlayer = startingPlayer;
+    return startingPlayer;
   }
 
   /**
-   * Retrieve the top non‑eight card in the pile.  Eights are transparent: when
-   * an eight has been played the next player must match or beat the card
-   * immediately beneath it【416014327271259†L197-L204】.
+   * Retrieve the top non‑transparent card in the pile.  Eights are
+   * transparent by default: when an eight has been played the next player
+   * must match or beat the card immediately beneath it【416014327271259†L197-L204】.
    *
    * @returns {Card|null}
    */
   topEffectiveCard() {
-    for (let i = this.pile.length - 1; i >= 0; i--) {
-      const c = this.pile[i];
-      if (c.rank !== 8) {
-        return c;
-      }
-    }
-    return null;
+    return effectiveTop(this.pile, this.rules);
   }
 
   /**
@@ -232,41 +902,37 @@ class Game {
    * @returns {boolean}
    */
   isPlayable(card) {
-    const top = this.topEffectiveCard();
-    // A ten can always be played and burns the pile
-    if (card.rank === 10) return true;
-    // A two can always be played and resets the pile
-    if (card.rank === 2) return true;
-    // An eight is transparent and can always be played
-    if (card.rank === 8) return true;
-    // Otherwise compare ranks.  If the top card is a seven then the next
-    // card must be equal to or below seven; otherwise it must be equal or
-    // higher than the top card【656296503652686†L196-L203】.
-    if (!top) return true; // empty pile
-    if (top.rank === 7) {
-      return card.rank <= 7;
-    }
-    return card.rank >= top.rank;
-  }
-
-  /**
-   * Check if the last four cards on the pile have the same rank.  If so the
-   * pile is burned and removed from play【416014327271259†L118-L131】.
-   *
-   * @returns {boolean} True if burn occurred.
-   */
-  checkFourOfAKindBurn() {
-    if (this.pile.length < 4) return false;
-    const lastRank = this.pile[this.pile.length - 1].rank;
-    for (let i = 2; i <= 4; i++) {
-      if (this.pile[this.pile.length - i].rank !== lastRank) {
-        return false;
-      }
-    }
-    // Burn the pile
-    this.discard.push(...this.pile);
-    this.pile = [];
-    return true;
+    return canPlayOn(card, this.pile, this.rules);
+  }
+
+  /**
+   * The effects laying the given cards on the pile would have, without
+   * changing anything.  A burn card burns the pile, and so does a run of
+   * `burnCount` cards of one rank (four by default) on top of the
+   * pile【416014327271259†L118-L131】.  Only ranks are compared, so with
+   * several decks identical cards count too and a run longer than
+   * `burnCount` (say five sevens) burns as well.  Burned cards take their
+   * skips and reversal with them.
+   *
+   * @param {Card[]} cards Cards of a single rank.
+   * @returns {{burn: boolean, skip: number, reset: boolean, reverse: boolean, extraTurn: boolean}}
+   */
+  playEffects(cards) {
+    const { rules } = this;
+    const rank = cards[0].rank;
+    const run = [...this.pile, ...cards].slice(-rules.burnCount);
+    const burn = rules.burn.includes(rank)
+      || (run.length === rules.burnCount && run.every(c => c.rank === rank));
+    const wild = rules.wild.includes(rank);
+    const plain = !burn && !wild;
+    return {
+      burn,
+      // Skip as many players as the number of fives played
+      skip: plain && rules.skip.includes(rank) ? cards.length : 0,
+      reset: wild && !burn,
+      reverse: plain && rules.reverse.includes(rank),
+      extraTurn: burn || wild,
+    };
   }
 
   /**
@@ -283,108 +949,384 @@ class Game {
    */
   playTurn(player, playCards) {
     if (!player.hasCards()) {
-      return `Player ${player.id} has already finished.`;
+      return `${player.name} has already finished.`;
     }
     // If no cards specified or empty, pick up the pile
     if (!playCards || playCards.length === 0) {
-      player.hand.push(...this.pile);
-      this.pile = [];
-      // Move to next player (the next one after the player who just picked up)
-      this.advancePlayer(1);
-      return `Player ${player.id} picks up the pile.`;
+      this.pickUpPile(player);
+      return `${player.name} picks up the pile.`;
     }
-    // Validate all cards are of the same rank
-    const rank = playCards[0].rank;
-    for (const c of playCards) {
-      if (c.rank !== rank) {
-        throw new Error('All played cards must be of the same rank');
-      }
+    const effects = this.playCards(player, playCards);
+    return `${player.name} plays ${playCards.map(c => c.toString()).join(', ')}${describeEffects(effects)}.`;
+  }
+
+  /**
+   * The zone the player must currently play from: their hand while it holds
+   * cards, then their face‑up cards, then their face‑down cards.  Picking
+   * up the pile puts cards back in the hand, which then comes first again.
+   *
+   * @param {Player} player
+   * @returns {'hand'|'faceUp'|'faceDown'|null} Null once the player is out.
+   */
+  activeZone(player) {
+    if (player.hand.length > 0) return 'hand';
+    if (player.faceUp.length > 0) return 'faceUp';
+    if (player.faceDown.length > 0) return 'faceDown';
+    return null;
+  }
+
+  /**
+   * Explain why the player may not act right now, if that is the case.
+   *
+   * @param {Player} player
+   * @returns {string|null} Reason, or null if it is the player's turn.
+   */
+  checkTurn(player) {
+    if (this.phase === 'setup') return 'The game has not started yet.';
+    if (this.isGameOver()) return 'The game is over.';
+    if (player.finished) return `${player.name} has already finished.`;
+    if (this.players[this.currentPlayer] !== player) return 'Not your turn.';
+    return null;
+  }
+
+  /**
+   * Explain why the given play would be illegal, without changing any
+   * state.
+   *
+   * @param {Player} player
+   * @param {Card[]} cards
+   * @returns {string|null} Reason the move is invalid, or null if it is legal.
+   */
+  checkMove(player, cards) {
+    const turnReason = this.checkTurn(player);
+    if (turnReason) return turnReason;
+    if (!cards || cards.length === 0) return 'No cards selected.';
+    if (cards.some(c => !c)) return 'Unknown card.';
+    const rank = cards[0].rank;
+    if (cards.some(c => c.rank !== rank)) {
+      return 'All played cards must be of the same rank';
     }
-    // Check if playable
-    for (const c of playCards) {
+    const zoneReason = this.checkZones(player, cards);
+    if (zoneReason) return zoneReason;
+    for (const c of cards) {
       if (!this.isPlayable(c)) {
-        throw new Error(`Cannot play ${c.toString()} on ${this.topEffectiveCard()}`);
+        return `Cannot play ${c.toString()} on ${this.topEffectiveCard()}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that every card is held by the player, at most once, and comes
+   * from the zone they must play from (see activeZone()).  With the
+   * `crossZoneCombos` rule and an empty stock, face‑up cards of the same
+   * rank may join a play that lays down every card left in the hand.
+   *
+   * @param {Player} player
+   * @param {Card[]} cards
+   * @returns {string|null} Reason the cards may not be played, or null.
+   */
+  checkZones(player, cards) {
+    const zone = this.activeZone(player);
+    const hand = [...player.hand];
+    const faceUp = [...player.faceUp];
+    let fromHand = 0;
+    let fromFaceUp = 0;
+    for (const c of cards) {
+      if (hand.includes(c)) {
+        hand.splice(hand.indexOf(c), 1);
+        fromHand++;
+      } else if (faceUp.includes(c)) {
+        faceUp.splice(faceUp.indexOf(c), 1);
+        fromFaceUp++;
+      } else if (player.faceDown.includes(c)) {
+        return 'Face‑down cards must be played blind.';
+      } else {
+        return `${player.name} does not hold ${c.toString()}`;
       }
     }
+    if (zone === 'hand' && fromFaceUp > 0) {
+      const combo = this.rules.crossZoneCombos && this.deck.cards.length === 0 && hand.length === 0;
+      if (!combo) return 'Face‑up cards can only be played once your hand is empty.';
+    }
+    return null;
+  }
+
+  /**
+   * Determine whether the player may lay down the given card(s) right now.
+   * This never mutates the game.
+   *
+   * @param {Player} player
+   * @param {Card|Card[]} cards A single card or a set of cards of one rank.
+   * @returns {boolean}
+   */
+  isMoveValid(player, cards) {
+    return this.checkMove(player, Array.isArray(cards) ? cards : [cards]) === null;
+  }
+
+  /**
+   * Every move the player may make right now, in the shape of the action
+   * entries of the log (see applyAction):
+   *
+   *  • { type: 'play', cards, effects }  one for each set of cards of one
+   *    rank that may be laid down together (all subsets of each rank, with
+   *    face‑up cards joining the last hand cards under `crossZoneCombos`),
+   *    with the effects playEffects() predicts for it;
+   *  • { type: 'blind', index }  for each face‑down card once they are the
+   *    player's active zone (what a blind card does is only known once it
+   *    is turned over);
+   *  • { type: 'pickup' }  whenever there is a pile to pick up.
+   *
+   * The cards are the player's own Card objects, so front ends can find
+   * them in the player's zones to highlight them.  This never mutates the
+   * game.
+   *
+   * @param {Player} [player] Defaults to the player whose turn it is.
+   * @returns {object[]} Empty if the player cannot move now, e.g. during
+   *          setup or on another player's turn.
+   */
+  legalMoves(player = this.getCurrentPlayer()) {
+    if (this.checkTurn(player)) return [];
+    const zone = this.activeZone(player);
+    const moves = [];
+    if (zone === 'faceDown') {
+      player.faceDown.forEach((_, index) => moves.push({ type: 'blind', index }));
+    } else {
+      const cards = zone === 'hand' && this.rules.crossZoneCombos
+        ? [...player.hand, ...player.faceUp]
+        : player[zone];
+      for (const rank of new Set(cards.map(c => c.rank))) {
+        for (const subset of cardSubsets(cards.filter(c => c.rank === rank))) {
+          if (this.checkMove(player, subset) !== null) continue;
+          moves.push({ type: 'play', cards: subset, effects: this.playEffects(subset) });
+        }
+      }
+    }
+    if (this.pile.length > 0) moves.push({ type: 'pickup' });
+    return moves;
+  }
+
+  /**
+   * A move from legalMoves() (or a hint from ai.js) with its cards given as
+   * `{ zone, index }` positions among the player's cards instead of Card
+   * objects, as the server sends moves to clients and takes them back in
+   * `makeMove`.  Other moves are returned unchanged.
+   *
+   * @param {Player} player The player the move is for.
+   * @param {object} move
+   * @returns {object}
+   */
+  movePositions(player, move) {
+    if (move.type !== 'play') return move;
+    const cards = move.cards.map(card => {
+      const zone = player.hand.includes(card) ? 'hand' : 'faceUp';
+      return { zone, index: player[zone].indexOf(card) };
+    });
+    return { ...move, cards };
+  }
+
+  /**
+   * Lay down one or more cards of the same rank for the current player,
+   * apply card powers, replenish the player's hand and advance the turn.
+   *
+   * @param {Player} player Player who is taking the turn.
+   * @param {Card[]} playCards Cards the player intends to lay down.
+   * @returns {{burn: boolean, skip: number, reset: boolean, reverse: boolean, extraTurn: boolean}}
+   *          The effects the play had.
+   */
+  playCards(player, playCards) {
+    const reason = this.checkMove(player, playCards);
+    if (reason) throw new Error(reason);
+    this.redoStack = [];
+    this.record('play', player, { cards: playCards.map(c => c.toJSON()) });
+    const effects = this.layCards(player, playCards);
+    this.emitEvents();
+    return effects;
+  }
+
+  /**
+   * Move already validated cards from the player onto the pile, apply card
+   * powers, replenish the player's hand and advance the turn.  Shared by
+   * playCards() and playBlind().
+   *
+   * @param {Player} player
+   * @param {Card[]} playCards
+   * @returns {{burn: boolean, skip: number, reset: boolean, reverse: boolean, extraTurn: boolean}}
+   */
+  layCards(player, playCards) {
+    const rank = playCards[0].rank;
+    const effects = this.playEffects(playCards);
     // Remove these cards from the player's current zone
     this.removeCardsFromPlayer(player, playCards);
     // Place cards on pile
     this.pile.push(...playCards);
-    // Apply card powers
-    let burn = false;
-    let skip = 0;
-    let extraTurn = false;
-    if (rank === 10) {
-      // Burn the pile (discard) and grant another turn
+    // Apply card powers: a burn discards the pile, a wild card resets it
+    if (effects.burn) {
       this.discard.push(...this.pile);
       this.pile = [];
-      extraTurn = true;
-      burn = true;
-    } else if (rank === 2) {
-      // Reset the pile (keep the two but treat top as null) and grant another turn
-      extraTurn = true;
-      // treat as if pile top is empty for next card
-    } else if (rank === 5) {
-      // Skip as many players as the number of fives played
-      skip = playCards.length;
-    }
-    // Check four of a kind burn (if not already burned by ten)
-    if (!burn && this.checkFourOfAKindBurn()) {
-      extraTurn = true;
-      burn = true;
+      this.record('burn', player, { cause: this.rules.burn.includes(rank) ? 'card' : 'set' });
+    } else if (effects.reset) {
+      this.record('reset', player);
     }
     // Replenish player's hand up to three cards from the deck if possible
     this.replenishHand(player);
-    // If the player has emptied their hand, move on to face up or face down cards
-    if (player.hand.length === 0 && player.faceUp.length > 0) {
-      // Move all face up cards into hand for play
-      player.hand.push(...player.faceUp);
-      player.faceUp = [];
-    }
-    if (player.hand.length === 0 && player.faceUp.length === 0 && player.faceDown.length > 0) {
-      // Draw one blind card from faceDown and add to hand
-      const blind = player.faceDown.pop();
-      if (blind) player.hand.push(blind);
-    }
     // If after playing and drawing the player has no cards anywhere they finish
     if (!player.hasCards()) {
       player.finished = true;
+      this.finishedOrder.push(player.id);
+      this.record('finish', player, { position: this.finishedOrder.length });
     }
-    // Determine next player index accounting for skips and extra turn
-    if (player.finished) {
-      // Skip finished players
-      this.advancePlayer(1);
-    } else if (extraTurn) {
-      // Same player gets another turn
-      // no change to currentPlayer
-    } else {
-      this.advancePlayer(1 + skip);
+    // Determine the next player from the turn effects (see turns.js)
+    const turn = passTurn(this.players, player.id, this.direction, effects);
+    if (effects.skip > 0) this.record('skip', player, { count: effects.skip, players: turn.skipped });
+    if (effects.reverse) this.record('reverse', player, { direction: turn.direction });
+    this.direction = turn.direction;
+    this.currentPlayer = turn.seat;
+    return effects;
+  }
+
+  /**
+   * Play one of the player's face‑down cards blind.  Only allowed once the
+   * player's hand and face‑up cards are gone.  The chosen card is turned
+   * over; if it can be played it is laid on the pile as usual, otherwise
+   * the player picks up the pile together with the revealed card.
+   *
+   * @param {Player} player
+   * @param {number} index Position of the face‑down card to turn over.
+   * @returns {{card: Card, playable: boolean, burn: boolean, skip: number,
+   *          reset: boolean, reverse: boolean, extraTurn: boolean}}
+   */
+  playBlind(player, index) {
+    const reason = this.checkTurn(player);
+    if (reason) throw new Error(reason);
+    if (this.activeZone(player) !== 'faceDown') {
+      throw new Error('Face‑down cards can only be played once your hand and face‑up cards are gone.');
     }
-    return `Player ${player.id} plays ${playCards.map(c => c.toString()).join(', ')}${burn ? ' and burns the pile' : ''}${skip > 0 ? ' and skips ' + skip + ' player(s)' : ''}${extraTurn && !burn && rank === 2 ? ' and resets the pile' : ''}.`;
+    const card = player.faceDown[index];
+    if (!card) throw new Error('There is no face‑down card at that position.');
+    const playable = this.isPlayable(card);
+    this.redoStack = [];
+    this.record('blind', player, { index, card: card.toJSON(), playable });
+    if (playable) {
+      this.pendingEvents.push({ type: 'cardsPlayed', player: player.id, cards: [card.toJSON()], blind: true });
+      const effects = this.layCards(player, [card]);
+      this.emitEvents();
+      return { card, playable, ...effects };
+    }
+    // The revealed card goes into the hand along with the whole pile
+    player.faceDown.splice(index, 1);
+    const count = this.pile.length + 1;
+    player.hand.push(...this.pile, card);
+    this.pile = [];
+    this.record('blindFailed', player, { card: card.toJSON(), count });
+    this.advancePlayer(1);
+    this.emitEvents();
+    return { card, playable, burn: false, skip: 0, reset: false, reverse: false, extraTurn: false };
+  }
+
+  /**
+   * The current player takes the whole pile into their hand instead of
+   * playing.  Play passes to the next player.  Anything may be played on
+   * an empty pile, so there has to be a pile to pick up.
+   *
+   * @param {Player} player
+   */
+  pickUpPile(player) {
+    const reason = this.checkTurn(player);
+    if (reason) throw new Error(reason);
+    if (this.pile.length === 0) throw new Error('There is no pile to pick up.');
+    this.redoStack = [];
+    this.record('pickup', player, { count: this.pile.length });
+    player.hand.push(...this.pile);
+    this.pile = [];
+    // Move to next player (the next one after the player who just picked up)
+    this.advancePlayer(1);
+    this.emitEvents();
+  }
+
+  /**
+   * Pass the turn to the next player who still holds cards.
+   */
+  nextTurn() {
+    this.advancePlayer(1);
+  }
+
+  /**
+   * The game ends once at most one player still holds cards.
+   *
+   * @returns {boolean}
+   */
+  isGameOver() {
+    return this.players.filter(p => !p.finished).length <= 1;
+  }
+
+  /**
+   * Players in the order they went out.  Once the game is over the last
+   * player (the shithead) is appended.
+   *
+   * @returns {Player[]}
+   */
+  getFinishingOrder() {
+    const order = this.finishedOrder.map(id => this.players[id]);
+    if (this.isGameOver()) {
+      order.push(...this.players.filter(p => !p.finished));
+    }
+    return order;
+  }
+
+  /**
+   * The first player to shed all of their cards, or null if nobody has yet.
+   *
+   * @returns {Player|null}
+   */
+  getWinner() {
+    return this.finishedOrder.length > 0 ? this.players[this.finishedOrder[0]] : null;
+  }
+
+  /**
+   * The player left holding cards when the game ends, or null while the
+   * game is still in progress.
+   *
+   * @returns {Player|null}
+   */
+  getShithead() {
+    if (!this.isGameOver()) return null;
+    return this.players.find(p => !p.finished) || null;
+  }
+
+  /**
+   * The finishing order for a game that has to be stopped before it is
+   * over, e.g. because it is stuck (see createStalemateGuard in ai.js):
+   * the players who went out in order, then everybody else by the number
+   * of cards they still hold, fewest first.  The last player counts as the
+   * shithead.
+   *
+   * @returns {Player[]}
+   */
+  getStalemateOrder() {
+    const count = p => p.hand.length + p.faceUp.length + p.faceDown.length;
+    const left = this.players.filter(p => !p.finished).sort((a, b) => count(a) - count(b));
+    return [...this.finishedOrder.map(id => this.players[id]), ...left];
   }
 
   /**
    * Remove the specified cards from the player's hand/faceUp/faceDown.
+   * With several decks a player may hold identical cards, so exactly one
+   * card is removed per entry: the very same Card object where the player
+   * holds it, otherwise one with the same rank and suit.
    * @param {Player} player
    * @param {Card[]} cards
    */
   removeCardsFromPlayer(player, cards) {
-    // Try to remove from hand first
+    const zones = [player.hand, player.faceUp, player.faceDown];
     for (const c of cards) {
-      let idx = player.hand.findIndex(x => x === c);
-      if (idx >= 0) {
-        player.hand.splice(idx, 1);
-        continue;
-      }
-      idx = player.faceUp.findIndex(x => x === c);
-      if (idx >= 0) {
-        player.faceUp.splice(idx, 1);
-        continue;
-      }
-      idx = player.faceDown.findIndex(x => x === c);
-      if (idx >= 0) {
-        player.faceDown.splice(idx, 1);
+      let zone = zones.find(z => z.includes(c));
+      let idx = zone ? zone.indexOf(c) : -1;
+      if (!zone) {
+        zone = zones.find(z => z.some(x => x.rank === c.rank && x.suit === c.suit));
+        if (zone) idx = zone.findIndex(x => x.rank === c.rank && x.suit === c.suit);
       }
+      if (zone) zone.splice(idx, 1);
     }
   }
 
@@ -396,64 +1338,89 @@ class Game {
    * @param {Player} player
    */
   replenishHand(player) {
-    while (player.hand.length < 3 && this.deck.cards.length > 0) {
+    this.drawUpTo(player, 3);
+  }
+
+  /**
+   * Draw cards for the player until they hold at least `size` cards in hand
+   * or the deck is empty.
+   *
+   * @param {Player} player
+   * @param {number} [size=3] Minimum hand size to draw up to.
+   */
+  drawUpTo(player, size = 3) {
+    while (player.hand.length < size && this.deck.cards.length > 0) {
       const card = this.deck.draw();
       if (card) player.hand.push(card);
     }
   }
 
   /**
-   * Advance the currentPlayer pointer by n positions, skipping finished
-   * players.  Direction is always clockwise in this version.
+   * Advance the currentPlayer pointer by n positions in the current
+   * direction of play, skipping finished players.
    *
    * @param {number} n Number of players to advance.
    */
   advancePlayer(n) {
-    const total = this.players.length;
-    let idx = this.currentPlayer;
-    let steps = n;
-    while (steps > 0) {
-      idx = (idx + 1) % total;
-      if (!this.players[idx].finished) {
-        steps--;
-      }
-    }
-    this.currentPlayer = idx;
+    this.currentPlayer = nextSeat(this.players, this.currentPlayer, this.direction, n);
   }
 }
 
+module.exports = {
+  Game, Player, Card, Deck, ACTION_TYPES, GAME_EVENTS, createRng, describeEffects, decksFor, PLAYERS_PER_DECK, MAX_DECKS,
+  cardsKey,
+};
+
 // Example usage: play a two player game in the terminal.  This can be
 // executed with `node game.js` to simulate a simple round between a human
-// (player 0) and a basic AI (player 1).  To keep the example concise the
-// AI always plays the lowest playable card and picks up when it has no
-// playable cards.  Remove or replace this section when integrating into
-// your own UI or networking layer.
+// (player 0) and a basic AI (player 1).  The AI is the medium bot from
+// ai.js.  Remove or replace this section when integrating into your own UI
+// or networking layer.
 if (require.main === module) {
   const readline = require('readline');
+  const { createBot, playBotTurn, describeMove } = require('./ai');
+  const bot = createBot('medium');
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  const g = new Game(2);
+  // An optional seed on the command line replays the same deal
+  const seedArg = process.argv[2];
+  // Keep the example short by letting both players swap automatically
+  const g = new Game(2, { setupPhase: false, seed: seedArg });
+  console.log(`Seed: ${g.seed}`);
   function promptPlayer() {
-    const p = g.players[g.currentPlayer];
-    if (p.finished) {
-      if (g.players.every(pl => pl.finished || pl === p)) {
-        console.log(`Game over! Player ${p.id} wins.`);
-        process.exit(0);
-      }
-      g.advancePlayer(1);
+    if (g.isGameOver()) {
+      console.log(`Game over! ${g.getWinner().name} wins.`);
+      process.exit(0);
+    }
+    const p = g.getCurrentPlayer();
+    if (p.id === 1) {
+      const { move, result } = playBotTurn(g, bot);
+      console.log(describeMove(p.name, move, result));
       promptPlayer();
       return;
     }
-    // Build a list of playable cards from hand
-    const playable = [];
+    // With only face‑down cards left the player must pick one blind
+    const zone = g.activeZone(p);
+    if (zone === 'faceDown') {
+      console.log(`\nTop of pile: ${g.pile.map(c => c.toString()).join(', ') || '(empty)'}`);
+      rl.question(`${p.name}, pick a face‑down card (0-${p.faceDown.length - 1}): `, answer => {
+        const choice = parseInt(answer, 10);
+        const { card, playable } = g.playBlind(p, p.faceDown[choice] ? choice : 0);
+        console.log(`${p.name} turns over ${card}${playable ? '' : ' and picks up the pile'}.`);
+        promptPlayer();
+      });
+      return;
+    }
+    // Build a list of playable cards from the hand, or from the face‑up
+    // cards once the hand is empty
     const handCounts = {};
-    for (const c of p.hand) {
+    for (const c of p[zone]) {
       if (g.isPlayable(c)) {
         if (!handCounts[c.rank]) handCounts[c.rank] = [];
         handCounts[c.rank].push(c);
       }
     }
     console.log(`\nTop of pile: ${g.pile.map(c => c.toString()).join(', ') || '(empty)'}`);
-    console.log(`Player ${p.id}'s turn. Hand: ${p.hand.map(c => c.toString()).join(', ')}`);
+    console.log(`${p.name}'s turn. ${zone === 'hand' ? 'Hand' : 'Face up'}: ${p[zone].map(c => c.toString()).join(', ')}`);
     if (Object.keys(handCounts).length === 0) {
       console.log('No playable cards. You must pick up or pass.');
       g.playTurn(p, []);
@@ -474,7 +1441,8 @@ if (require.main === module) {
     rl.question('Select option or press Enter to pick up: ', answer => {
       const choice = parseInt(answer, 10);
       if (isNaN(choice) || choice < 0 || choice >= options.length) {
-        g.playTurn(p, []);
+        if (g.pile.length === 0) console.log('There is no pile to pick up.');
+        else g.playTurn(p, []);
       } else {
         g.playTurn(p, options[choice]);
       }
@@ -482,6 +1450,4 @@ if (require.main === module) {
     });
   }
   promptPlayer();
-}
-
-module.exports = { Game, Player, Card };
\ No newline at end of file
+}
\ No newline at end of file
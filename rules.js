@@ -0,0 +1,171 @@
+/*
+ * House rules for the Shithead engine.
+ *
+ * Card powers vary a lot between groups of players, so rather than being
+ * hard‑wired into the Game class they are described by a plain rules
+ * object.  Each power lists the ranks that carry it:
+ *
+ *  • wild         Playable on anything and resets the pile; the player goes
+ *                 again.  Anything may be played on top of a wild card.
+ *  • burn         Playable on anything and burns the pile; the player goes
+ *                 again.
+ *  • transparent  Playable on anything and "invisible": the next player must
+ *                 match or beat the card beneath it.
+ *  • skip         Each card of this rank played skips one player.
+ *  • reverse      Playing this rank reverses the direction of play.
+ *  • lower        The next card must be below this rank.  With
+ *                 `lowerInclusive` a card of equal rank is also allowed.
+ *
+ * `burnCount` is the number of same‑rank cards in a row on the pile that
+ * burn it (four of a kind by default) and `jokers` the number of jokers
+ * shuffled into the deck.  Jokers have rank RANK_JOKER and only have a
+ * power if that rank is listed under one of the powers above.  With
+ * `crossZoneCombos`, once the stock is empty a player laying down the last
+ * cards of their hand may add face‑up cards of the same rank to the set.
+ */
+
+const RANK_JOKER = 15;
+
+/**
+ * The classic rule set this project started with: 2 resets, 10 burns, 8 is
+ * transparent, 7 requires the next card to be equal or lower, 5 skips and
+ * four of a kind burns.
+ */
+const DEFAULT_RULES = Object.freeze({
+  wild: [2],
+  burn: [10],
+  transparent: [8],
+  skip: [5],
+  reverse: [],
+  lower: [7],
+  lowerInclusive: true,
+  burnCount: 4,
+  jokers: 0,
+  crossZoneCombos: false,
+});
+
+/**
+ * Named variants.  Each preset lists only how it differs from the
+ * classic rules.
+ */
+const RULE_PRESETS = Object.freeze({
+  classic: {},
+  // 9 reverses the direction of play
+  reverseNine: { reverse: [9] },
+  // After a 7 the next card must be strictly lower than 7
+  strictSeven: { lowerInclusive: false },
+  // 3 is invisible, like the 8
+  invisibleThree: { transparent: [3, 8] },
+  // Two jokers in the deck which act as extra wild cards
+  jokers: { jokers: 2, wild: [2, RANK_JOKER] },
+  // Three of a kind is enough to burn the pile
+  threeBurn: { burnCount: 3 },
+  // 5 has no power
+  noSkip: { skip: [] },
+});
+
+// Most jokers shuffled into each deck
+const MAX_JOKERS = 4;
+
+// Rules listing the ranks that carry a power, and rules that are on or off
+const POWERS = ['wild', 'burn', 'transparent', 'skip', 'reverse', 'lower'];
+const FLAGS = ['lowerInclusive', 'crossZoneCombos'];
+
+const isRank = rank => Number.isInteger(rank) && rank >= 2 && rank <= RANK_JOKER;
+
+/**
+ * Check one house rule override, as rules often come from untrusted
+ * clients.
+ *
+ * @param {string} name
+ * @param {*} value
+ * @throws {Error} If the rule is unknown or the value does not fit it.
+ */
+function checkRule(name, value) {
+  if (POWERS.includes(name)) {
+    if (!Array.isArray(value) || !value.every(isRank)) {
+      throw new Error(`The ${name} rule must list ranks from 2 to ${RANK_JOKER}`);
+    }
+  } else if (FLAGS.includes(name)) {
+    if (typeof value !== 'boolean') throw new Error(`The ${name} rule must be true or false`);
+  } else if (name === 'burnCount') {
+    if (!Number.isInteger(value) || value < 2) throw new Error('The burnCount rule must be a whole number of at least 2');
+  } else if (name === 'jokers') {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_JOKERS) {
+      throw new Error(`The jokers rule must be a whole number from 0 to ${MAX_JOKERS}`);
+    }
+  } else {
+    throw new Error(`Unknown rule: ${name}`);
+  }
+}
+
+/**
+ * Build a complete rules object.
+ *
+ * @param {string|object} [rules] Either the name of a preset or an object
+ *        of overrides.  An object may name the preset it builds on with a
+ *        `preset` field, e.g. `{ preset: 'jokers', burnCount: 3 }`.
+ *        Defaults to the classic rules.
+ * @returns {object} A frozen rules object with every field filled in.
+ * @throws {Error} If the preset is unknown or an override is not valid.
+ */
+function resolveRules(rules = {}) {
+  if (typeof rules === 'string') rules = { preset: rules };
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('House rules must be a preset name or an object of overrides');
+  }
+  const { preset = 'classic', ...overrides } = rules;
+  if (!Object.prototype.hasOwnProperty.call(RULE_PRESETS, preset)) throw new Error(`Unknown rule preset: ${preset}`);
+  for (const [name, value] of Object.entries(overrides)) checkRule(name, value);
+  return Object.freeze({ ...DEFAULT_RULES, ...RULE_PRESETS[preset], ...overrides, preset });
+}
+
+/**
+ * The top non‑transparent card of a pile, i.e. the card the next play has
+ * to beat.
+ *
+ * @param {Array<{rank: number}>} pile Cards on the pile, bottom first.
+ * @param {object} rules Complete rules object.
+ * @returns {object|null} The card, or null if nothing needs to be beaten.
+ */
+function effectiveTop(pile, rules) {
+  for (let i = pile.length - 1; i >= 0; i--) {
+    if (!rules.transparent.includes(pile[i].rank)) {
+      return pile[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a card may be laid on a pile under the given rules.  Works on
+ * plain `{ rank }` objects so it can be used on a player's view of the game
+ * as well as on the engine's own cards.
+ *
+ * @param {{rank: number}} card
+ * @param {Array<{rank: number}>} pile Cards on the pile, bottom first.
+ * @param {object} rules Complete rules object.
+ * @returns {boolean}
+ */
+function canPlayOn(card, pile, rules) {
+  const { wild, burn, transparent, lower, lowerInclusive } = rules;
+  // Burn cards (tens), wild cards (twos) and transparent cards (eights)
+  // can always be played
+  if (burn.includes(card.rank)) return true;
+  if (wild.includes(card.rank)) return true;
+  if (transparent.includes(card.rank)) return true;
+  // Otherwise compare ranks.  If the top card is a seven then the next
+  // card must be equal to or below seven; otherwise it must be equal or
+  // higher than the top card【656296503652686†L196-L203】.
+  const top = effectiveTop(pile, rules);
+  if (!top) return true; // empty pile
+  if (wild.includes(top.rank)) return true; // the pile has been reset
+  if (lower.includes(top.rank)) {
+    return lowerInclusive ? card.rank <= top.rank : card.rank < top.rank;
+  }
+  return card.rank >= top.rank;
+}
+
+module.exports = {
+  DEFAULT_RULES, RULE_PRESETS, RANK_JOKER, MAX_JOKERS, resolveRules, effectiveTop, canPlayOn,
+};
@@ -1,7 +1,16 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
 const { Server } = require('socket.io');
-const { Game } = require('./game');
+const { Game, PLAYERS_PER_DECK } = require('./game');
+const {
+  createBot, setupBot, playBotTurn, describeMove, createStalemateGuard, IdleBot, hint,
+} = require('./ai');
+const { resolveRules } = require('./rules');
+const { Tournament } = require('./tournament');
+const { MemoryStorage, FileStorage } = require('./storage');
+const { HISTORY_LENGTH, QUICK_REACTIONS, checkMessage, createRateLimiter } = require('./chat');
 
 const app = express();
 const server = http.createServer(app);
@@ -9,88 +18,1089 @@ const server = http.createServer(app);
 // restrict this to your own client origin(s)
 const io = new Server(server, { cors: { origin: '*' } });
 
-// In-memory storage for game rooms and tournaments. In a production
-// environment you would likely want to persist this state in a database
-// or other data store.
-const rooms = {};
-const tournaments = {};
+// Game rooms and tournaments, both keyed by id. Each tournament entry holds
+// a Tournament from tournament.js, the sockets following it and the rooms
+// its current round is played in. Both are saved to `storage` after every
+// change and loaded again when the server starts. Set SHITHEAD_DATA to the
+// directory to keep them in (./data by default) or to `memory` to keep
+// nothing across restarts. Neither has a prototype, so no id a client
+// sends can name anything but a room or tournament.
+const rooms = Object.create(null);
+const tournaments = Object.create(null);
+const storage = process.env.SHITHEAD_DATA === 'memory'
+  ? new MemoryStorage()
+  : new FileStorage(process.env.SHITHEAD_DATA || path.join(__dirname, 'data'));
+
+// Rooms go through three phases: 'lobby' while players gather and ready
+// up, 'playing' once the host has started a game and 'finished' when it is
+// over, from where the host can start a rematch. Rooms seat up to ten
+// players; unless the room fixes its number of `decks`, games for six or
+// more are dealt from two decks shuffled together.
+const MIN_SEATS = 2;
+const MAX_SEATS = 10;
+
+// Most decks a room may fix, enough to seat MAX_SEATS players
+const MAX_ROOM_DECKS = Math.ceil(MAX_SEATS / PLAYERS_PER_DECK);
+
+// Seconds a player has for each turn (and for the setup phase) unless the
+// room says otherwise, and how long before the end of it they are warned.
+// When the time runs out the player either picks up the pile ('pickup') or
+// a computer player takes over their seat ('bot'); the same happens when a
+// player disconnects during a game.
+const DEFAULT_TURN_TIME = 60;
+const WARNING_TIME = 10;
+const TIMEOUT_ACTIONS = ['pickup', 'bot'];
+
+// A client joins a room either to play or to watch. Spectators only ever
+// receive the public view of the game, optionally `spectatorDelay` seconds
+// late.
+const ROLES = ['player', 'spectator'];
+
+// Longest turn time and spectator delay a room may ask for, in seconds.
+// Both are used for timers, which fire at once for much longer delays.
+const MAX_TURN_TIME = 60 * 60;
+const MAX_SPECTATOR_DELAY = 10 * 60;
+
+// Zones a move may name cards from; face-down cards are played blind
+const ZONES = ['hand', 'faceUp'];
+
+// Number of players a room can seat: five per deck when the room fixes its
+// number of decks, otherwise MAX_SEATS.
+function seatLimit(room) {
+  return room.decks ? Math.min(MAX_SEATS, room.decks * PLAYERS_PER_DECK) : MAX_SEATS;
+}
+
+// Public description of a room: its phase, host, seats and the results of
+// the last game.
+function roomView(roomId) {
+  const room = rooms[roomId];
+  const connected = new Set(Object.values(room.sockets));
+  return {
+    roomId,
+    phase: room.phase,
+    host: room.host,
+    maxSeats: seatLimit(room),
+    decks: room.decks,
+    seats: room.seats.map((s, seat) => ({
+      seat,
+      name: s.name,
+      bot: s.bot,
+      ready: s.ready,
+      connected: s.bot ? true : connected.has(seat),
+    })),
+    results: room.results,
+    spectators: Object.values(room.sockets).filter(seat => seat === null).length,
+    spectatorDelay: room.spectatorDelay,
+    tournament: room.tournament || null,
+    turnTime: room.turnTime,
+    deadline: room.timer ? room.timer.deadline : null,
+  };
+}
+
+// Send an event to a spectator, after the room's spectator delay if it has
+// one, so that nothing they see can be passed on to the players in time to
+// matter.
+function toSpectator(room, socketId, event, payload) {
+  if (room.spectatorDelay) {
+    setTimeout(() => io.to(socketId).emit(event, payload), room.spectatorDelay * 1000);
+  } else {
+    io.to(socketId).emit(event, payload);
+  }
+}
+
+// Send an event to every client in a room, spectators included.
+function emitToRoom(roomId, event, payload) {
+  const room = rooms[roomId];
+  for (const [socketId, seat] of Object.entries(room.sockets)) {
+    if (seat === null) toSpectator(room, socketId, event, payload);
+    else io.to(socketId).emit(event, payload);
+  }
+}
+
+// Key under which a client's muted players are kept: their seat, so that
+// mutes survive a reconnect, or the socket id for spectators.
+function muteKey(room, socketId) {
+  const seat = room.sockets[socketId];
+  return seat === null || seat === undefined ? socketId : `seat:${seat}`;
+}
+
+// Chat messages a client wants to see, i.e. leaving out muted players.
+function visibleChat(room, socketId, messages) {
+  const muted = room.mutes[muteKey(room, socketId)] || [];
+  return messages.filter(m => !muted.includes(m.seat));
+}
+
+// Post a chat message or quick reaction for the socket's seat. Only seated
+// players can talk; everyone who has not muted them receives a `chat`
+// event, and the message is kept for the room's chat history.
+function postChat(socket, roomId, content) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  const seat = room.sockets[socket.id];
+  if (seat === undefined || seat === null) {
+    socket.emit('invalidMove', { reason: 'Only players can chat.' });
+    return;
+  }
+  if (!socket.data.chatLimiter) socket.data.chatLimiter = createRateLimiter();
+  if (!socket.data.chatLimiter()) {
+    socket.emit('invalidMove', { reason: 'You are sending messages too quickly.' });
+    return;
+  }
+  const message = { seat, name: room.seats[seat].name, ...content, time: Date.now() };
+  room.chat = [...room.chat, message].slice(-HISTORY_LENGTH);
+  saveRoom(roomId);
+  for (const socketId of Object.keys(room.sockets)) {
+    if (visibleChat(room, socketId, [message]).length === 0) continue;
+    if (room.sockets[socketId] === null) toSpectator(room, socketId, 'chat', { roomId, ...message });
+    else io.to(socketId).emit('chat', { roomId, ...message });
+  }
+}
+
+// Send every client in a room its own view of the game. Players see
+// their own hand and face-up cards in full but only the number of cards in
+// their opponents' hands; spectators get the public view, in which no hand
+// or face-down card is visible. Players also get their `legalMoves`, empty
+// unless it is their turn. In the lobby only the room itself is sent.
+// `status` describes the last action. Everything logged since the last
+// broadcast goes out first as a `gameEvents` move stream.
+function broadcastState(roomId, status) {
+  const room = rooms[roomId];
+  const { game, sockets } = room;
+  let events = [];
+  if (game) {
+    scheduleTimer(roomId);
+    events = game.getPublicEvents(room.logSent);
+    room.logSent = game.log.length;
+  }
+  saveRoom(roomId);
+  const info = roomView(roomId);
+  if (events.length > 0) emitToRoom(roomId, 'gameEvents', { roomId, events });
+  if (!game) {
+    for (const [socketId, seat] of Object.entries(sockets)) {
+      if (seat === null) toSpectator(room, socketId, 'stateUpdate', { seat, room: info, status });
+      else io.to(socketId).emit('stateUpdate', { seat, room: info, status });
+    }
+    return;
+  }
+  const top = game.getTopCard();
+  const table = { room: info, pileTop: top ? top.toString() : null, pileCount: game.pile.length, status };
+  const publicState = { ...game.getPublicView(), ...table };
+  for (const [socketId, seat] of Object.entries(sockets)) {
+    if (seat === null) toSpectator(room, socketId, 'stateUpdate', publicState);
+    else {
+      const player = game.players[seat];
+      const legalMoves = game.legalMoves(player).map(move => game.movePositions(player, move));
+      io.to(socketId).emit('stateUpdate', { ...game.getPlayerView(seat), ...table, legalMoves });
+    }
+  }
+}
+
+// Bind a socket to a seat and hand it a reconnect token for that seat. Any
+// other socket still bound to the seat (e.g. a dropped connection) loses it
+// and a player returning to their seat takes it back from the computer
+// player standing in for them.
+function bindSeat(room, roomId, socket, seat) {
+  for (const [socketId, bound] of Object.entries(room.sockets)) {
+    if (bound === seat) room.sockets[socketId] = null;
+  }
+  if (room.bots[seat] && !room.seats[seat].bot) delete room.bots[seat];
+  room.sockets[socket.id] = seat;
+  if (!room.tokens[seat]) room.tokens[seat] = crypto.randomUUID();
+  socket.emit('seatAssigned', { roomId, seat, token: room.tokens[seat] });
+}
+
+// Remove a seat from a room in the lobby, moving everyone after it up one
+// seat (along with their tokens and mutes). Sockets bound to the seat
+// itself are dropped.
+function removeSeat(room, seat) {
+  room.seats.splice(seat, 1);
+  for (const [socketId, bound] of Object.entries(room.sockets)) {
+    if (bound === seat) delete room.sockets[socketId];
+    else if (bound !== null && bound > seat) room.sockets[socketId] = bound - 1;
+  }
+  const tokens = {};
+  for (const [s, token] of Object.entries(room.tokens)) {
+    const n = Number(s);
+    if (n !== seat) tokens[n > seat ? n - 1 : n] = token;
+  }
+  room.tokens = tokens;
+  const shift = s => (s > seat ? s - 1 : s);
+  const mutes = {};
+  for (const [key, muted] of Object.entries(room.mutes)) {
+    const match = /^seat:(\d+)$/.exec(key);
+    if (match && Number(match[1]) === seat) continue;
+    mutes[match ? `seat:${shift(Number(match[1]))}` : key] = muted.filter(s => s !== seat).map(shift);
+  }
+  room.mutes = mutes;
+  if (room.host > seat) room.host--;
+}
+
+// Payloads come straight from clients and may hold anything, or be missing
+// altogether: every handler defaults its payload to {} and checks that ids
+// are non-empty strings and seats and card positions whole numbers.
+function isId(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isIndex(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// The room or tournament a client names, or null.
+function getRoom(roomId) {
+  return isId(roomId) ? rooms[roomId] || null : null;
+}
+
+function getTournament(tournamentId) {
+  return isId(tournamentId) ? tournaments[tournamentId] || null : null;
+}
+
+// The room and seat a socket may act for. Emits `invalidMove` and returns
+// null if the room does not exist, the socket has no seat in it or (unless
+// `phase` says otherwise) no game is in progress. A player whose turns a
+// computer player took over when their time ran out is still bound to the
+// seat, and takes it back by acting in the game again.
+function seatedPlayer(socket, roomId, phase = 'playing') {
+  const room = getRoom(roomId);
+  if (!room) {
+    socket.emit('invalidMove', { reason: 'There is no such room.' });
+    return null;
+  }
+  const seat = room.sockets[socket.id];
+  if (seat === undefined || seat === null) {
+    socket.emit('invalidMove', { reason: 'You do not have a seat in this room.' });
+    return null;
+  }
+  if (room.phase !== phase) {
+    socket.emit('invalidMove', { reason: phase === 'playing'
+      ? 'No game is in progress.'
+      : 'The game has already started.' });
+    return null;
+  }
+  if (room.bots[seat] && !room.seats[seat].bot) {
+    delete room.bots[seat];
+    broadcastState(roomId, `${room.seats[seat].name} is back and plays again.`);
+  }
+  return { room, seat, player: room.game && room.game.players[seat] };
+}
+
+// Whether the socket belongs to the host of the room. Emits `invalidMove`
+// if it does not.
+function isHost(socket, room) {
+  if (room && room.host !== null && room.sockets[socket.id] === room.host) return true;
+  socket.emit('invalidMove', { reason: 'Only the host can do that.' });
+  return false;
+}
+
+// Deal a new game for the players in the room's seats. Computer players
+// make their swaps and are ready straight away.
+function startRoomGame(roomId) {
+  const room = rooms[roomId];
+  const game = new Game(room.seats.map(s => s.name), { rules: room.rules, decks: room.decks || undefined });
+  room.bots = {};
+  room.seats.forEach((s, seat) => {
+    if (s.bot) {
+      room.bots[seat] = createBot(s.bot);
+      setupBot(game, seat, room.bots[seat]);
+    }
+  });
+  room.game = game;
+  room.phase = 'playing';
+  room.results = null;
+  room.logSent = 0;
+  broadcastState(roomId, 'Swap your cards, then declare ready.');
+  runBots(roomId);
+}
+
+// Record the results of a finished game and tell the room. A game that
+// is `stuck` going round in circles is stopped where it is and ranked by
+// Game#getStalemateOrder().
+function finishRoomGame(roomId, stuck = false) {
+  const room = rooms[roomId];
+  const { game } = room;
+  const order = stuck ? game.getStalemateOrder() : game.getFinishingOrder();
+  const winner = order[0];
+  const shithead = order[order.length - 1];
+  room.phase = 'finished';
+  room.results = {
+    order: order.map((p, i) => ({ seat: p.id, name: p.name, position: i + 1 })),
+    shithead: shithead.id,
+    stuck,
+  };
+  storage.recordGame({
+    roomId,
+    finishedAt: new Date().toISOString(),
+    seed: game.seed,
+    rules: room.rules || null,
+    tournament: room.tournament || null,
+    stuck,
+    players: room.results.order.map(r => ({ ...r, bot: room.seats[r.seat].bot })),
+  });
+  emitToRoom(roomId, 'gameOver', room.results);
+  broadcastState(roomId, `${stuck ? 'The game is stuck and ends here' : 'Game over'}! `
+    + `${winner.name} wins and ${shithead.name} is the shithead.`);
+  // Tournament games are reported once the current handler has finished,
+  // as recording the result may seat the next round
+  if (room.tournament) setImmediate(() => tournamentGameOver(roomId));
+}
+
+// Save a room. Games are stored as snapshots (see Game#toJSON) and bots
+// by their level; connected sockets and timers are not kept.
+function saveRoom(roomId) {
+  const { game, bots, sockets, timer, ...room } = rooms[roomId];
+  storage.saveRoom(roomId, {
+    ...room,
+    game: game ? game.toJSON() : null,
+    bots: Object.fromEntries(Object.entries(bots).map(([seat, bot]) => [seat, bot.level])),
+  });
+}
+
+// Save a tournament together with its settings and reconnect tokens.
+function saveTournament(tournamentId) {
+  const { tournament, sockets, ...entry } = tournaments[tournamentId];
+  storage.saveTournament(tournamentId, { ...entry, tournament: tournament.toJSON() });
+}
+
+// Load the rooms and tournaments saved before the server was last stopped.
+// Nobody is connected yet, so games in progress wait for their players to
+// rejoin with their reconnect tokens, or for the turn timers to run out.
+// Anything saved with house rules, timer or tournament settings that are
+// no longer accepted is left out.
+function restore() {
+  for (const [roomId, data] of Object.entries(storage.loadRooms())) {
+    try {
+      resolveRules(data.rules);
+      checkTimerSettings(data.turnTime, data.onTimeout);
+      if (!isSeconds(data.spectatorDelay, MAX_SPECTATOR_DELAY)) throw new Error('The spectator delay is too long.');
+    } catch (err) {
+      console.log(`Not restoring room ${roomId}: ${err.message}`);
+      continue;
+    }
+    rooms[roomId] = {
+      ...data,
+      game: data.game ? Game.fromJSON(data.game) : null,
+      bots: Object.fromEntries(Object.entries(data.bots).map(([seat, level]) => [
+        seat, level === 'idle' ? new IdleBot() : createBot(level),
+      ])),
+      sockets: {},
+      timer: null,
+    };
+    if (rooms[roomId].phase === 'playing') scheduleTimer(roomId);
+  }
+  for (const [tournamentId, data] of Object.entries(storage.loadTournaments())) {
+    let tournament;
+    try {
+      resolveRules(data.rules);
+      checkTimerSettings(data.turnTime, data.onTimeout);
+      tournament = Tournament.fromJSON(data.tournament);
+    } catch (err) {
+      console.log(`Not restoring tournament ${tournamentId}: ${err.message}`);
+      continue;
+    }
+    tournaments[tournamentId] = { ...data, tournament, sockets: {} };
+  }
+}
+
+// Whether a value is a number of seconds from 0 up to the given limit.
+function isSeconds(value, max) {
+  return typeof value === 'number' && value >= 0 && value <= max;
+}
+
+// Throw if a room's turn timer settings are not valid.
+function checkTimerSettings(turnTime, onTimeout) {
+  if (!isSeconds(turnTime, MAX_TURN_TIME)) {
+    throw new Error(`The turn time must be a number of seconds up to ${MAX_TURN_TIME}.`);
+  }
+  if (!TIMEOUT_ACTIONS.includes(onTimeout)) throw new Error(`Unknown timeout action: ${onTimeout}`);
+}
+
+// Stop a room's turn timer.
+function clearTimer(room) {
+  if (room.timer) room.timer.handles.forEach(clearTimeout);
+  room.timer = null;
+}
+
+// Keep a room's turn timer in step with its game. The setup phase has one
+// deadline for everyone; during play the current human player gets a fresh
+// one for every turn. A warning is sent to the room shortly before the
+// time runs out.
+function scheduleTimer(roomId) {
+  const room = rooms[roomId];
+  const { game, turnTime } = room;
+  let key = null;
+  if (room.phase === 'playing' && turnTime && !game.isGameOver()) {
+    if (game.phase === 'setup') key = 'setup';
+    else if (!room.bots[game.currentPlayer]) key = `${game.currentPlayer}:${game.log.length}`;
+  }
+  if (room.timer && room.timer.key === key) return;
+  clearTimer(room);
+  if (!key) return;
+  const seat = game.phase === 'play' ? game.currentPlayer : null;
+  const handles = [setTimeout(() => turnTimedOut(roomId), turnTime * 1000)];
+  if (turnTime > WARNING_TIME) {
+    handles.push(setTimeout(() => {
+      emitToRoom(roomId, 'turnWarning', { roomId, seat, secondsLeft: WARNING_TIME });
+    }, (turnTime - WARNING_TIME) * 1000));
+  }
+  room.timer = { key, deadline: Date.now() + turnTime * 1000, handles };
+}
+
+// Called when a turn timer runs out. In the setup phase everyone who is
+// not ready yet is swapped automatically. During play the current player
+// either picks up the pile or has their seat taken over by a computer
+// player, depending on the room's `onTimeout` setting.
+function turnTimedOut(roomId) {
+  const room = rooms[roomId];
+  const { game } = room;
+  room.timer = null;
+  if (game.phase === 'setup') {
+    const idle = game.players.filter(p => !p.ready);
+    idle.forEach(p => game.autoSwap(p));
+    broadcastState(roomId, `Time is up; ${idle.map(p => p.name).join(', ')} swapped automatically.`);
+  } else if (room.onTimeout === 'bot') {
+    const player = game.getCurrentPlayer();
+    room.bots[player.id] = createBot('medium');
+    for (const [socketId, seat] of Object.entries(room.sockets)) {
+      if (seat === player.id) io.to(socketId).emit('replacedByBot', { roomId, seat });
+    }
+    broadcastState(roomId, `${player.name} ran out of time; a computer player takes over.`);
+  } else {
+    const player = game.getCurrentPlayer();
+    const { move, result } = playBotTurn(game, new IdleBot());
+    broadcastState(roomId, `${player.name} ran out of time. ${describeMove(player.name, move, result)}`);
+  }
+  runBots(roomId);
+}
+
+// Let a computer player stand in for a seat whose player has disconnected
+// during a game, until they reclaim it with their reconnect token.
+function standIn(roomId, seat) {
+  const room = rooms[roomId];
+  const { game } = room;
+  room.bots[seat] = room.onTimeout === 'bot' ? createBot('medium') : new IdleBot();
+  if (game.phase === 'setup' && !game.players[seat].ready) setupBot(game, seat, room.bots[seat]);
+  broadcastState(roomId, `${room.seats[seat].name} disconnected; their turns are played automatically.`);
+  runBots(roomId);
+}
+
+// Let computer players take their turns, broadcasting after each move,
+// until it is a human player's turn or the game is over. Games the bots
+// play among themselves can go round in circles, so they are ended once
+// the stalemate guard trips.
+function runBots(roomId) {
+  const room = rooms[roomId];
+  const { game, bots } = room;
+  const stuck = createStalemateGuard();
+  while (game.phase === 'play' && !game.isGameOver() && bots[game.currentPlayer]) {
+    if (stuck(game)) {
+      finishRoomGame(roomId, true);
+      return;
+    }
+    const player = game.getCurrentPlayer();
+    const { move, result } = playBotTurn(game, bots[game.currentPlayer]);
+    broadcastState(roomId, describeMove(player.name, move, result));
+  }
+  if (game.isGameOver() && room.phase === 'playing') finishRoomGame(roomId);
+}
+
+// Public description of a tournament: its settings, the tables of the
+// current round (with the room each is played in) and the standings.
+function tournamentView(tournamentId) {
+  const { tournament, rooms: tableRooms } = tournaments[tournamentId];
+  const { players } = tournament;
+  return {
+    tournamentId,
+    format: tournament.format,
+    tableSize: tournament.tableSize,
+    gamesPerMatch: tournament.gamesPerMatch,
+    round: tournament.round,
+    finished: tournament.finished,
+    players: players.map(p => ({ name: p.name, bot: p.bot })),
+    tables: tournament.tables.map((t, i) => ({
+      roomId: tableRooms[i] || null,
+      players: t.seats.map(p => players[p].name),
+      games: t.games.length,
+      done: t.done,
+    })),
+    standings: tournament.standings(),
+  };
+}
+
+// Send the tournament's current state to everyone following it.
+function broadcastTournament(tournamentId) {
+  saveTournament(tournamentId);
+  io.to(`tournament:${tournamentId}`).emit('tournamentUpdate', tournamentView(tournamentId));
+}
+
+// Move a participant's socket into the room of their table in the current
+// round, if they have one and the match is still being played.
+function seatAtTable(tournamentId, player, socket) {
+  const entry = tournaments[tournamentId];
+  const table = entry.tournament.tables.findIndex(t => t.seats.includes(player));
+  const roomId = entry.rooms[table];
+  const room = roomId && rooms[roomId];
+  if (!room || room.phase === 'finished') return;
+  const seat = entry.tournament.tables[table].seats.indexOf(player);
+  bindSeat(room, roomId, socket, seat);
+  socket.join(roomId);
+  socket.emit('tournamentTable', { tournamentId, round: entry.tournament.round, roomId, seat });
+  broadcastState(roomId, `${room.seats[seat].name} takes their seat.`);
+}
+
+// Open a room for every table of the current round, seat the participants
+// and deal their first game. Tables with a single player (byes) have no
+// room.
+function seatRound(tournamentId) {
+  const entry = tournaments[tournamentId];
+  const { tournament } = entry;
+  entry.rooms = tournament.tables.map((table, i) => (table.done ? null : `${tournamentId}/${tournament.round}/${i + 1}`));
+  tournament.tables.forEach((table, i) => {
+    const roomId = entry.rooms[i];
+    if (!roomId) return;
+    rooms[roomId] = {
+      phase: 'lobby',
+      rules: entry.rules,
+      seats: table.seats.map(p => ({ name: tournament.players[p].name, bot: tournament.players[p].bot, ready: true })),
+      host: null,
+      sockets: {},
+      tokens: {},
+      bots: {},
+      game: null,
+      results: null,
+      turnTime: entry.turnTime,
+      onTimeout: entry.onTimeout,
+      spectatorDelay: 0,
+      timer: null,
+      chat: [],
+      mutes: {},
+      tournament: { tournamentId, round: tournament.round, table: i },
+    };
+    // Tables of computer players only are played out straight away (see
+    // runBots), each on its own turn of the event loop rather than all
+    // inside this handler
+    if (table.seats.every(p => tournament.players[p].bot)) setImmediate(() => startRoomGame(roomId));
+    else startRoomGame(roomId);
+  });
+  for (const [socketId, player] of Object.entries(entry.sockets)) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && player !== null) seatAtTable(tournamentId, player, socket);
+  }
+  broadcastTournament(tournamentId);
+}
+
+// Report the result of a game played in a tournament room. Matches of
+// several games continue in the same room; once every table is done the
+// next round is seated or the final leaderboard sent out.
+function tournamentGameOver(roomId) {
+  const room = rooms[roomId];
+  const { tournamentId, table } = room.tournament;
+  const entry = tournaments[tournamentId];
+  const { tournament } = entry;
+  const seats = tournament.tables[table].seats;
+  const { matchOver, roundOver } = tournament.recordGame(table, room.results.order.map(r => seats[r.seat]));
+  broadcastTournament(tournamentId);
+  if (!matchOver) {
+    startRoomGame(roomId);
+  } else if (roundOver && tournament.finished) {
+    io.to(`tournament:${tournamentId}`).emit('tournamentOver', { tournamentId, leaderboard: tournament.standings() });
+  } else if (roundOver) {
+    tournament.nextRound();
+    seatRound(tournamentId);
+  }
+}
 
 io.on('connection', (socket) => {
   console.log('Client connected', socket.id);
 
-  // Handler for creating a new room. Expects a unique roomId and an array
-  // of player names. A new Game instance is created and stored in the
-  // rooms map. The creating socket joins the room and a notification is
-  // emitted to all clients in the room.
-  socket.on('createRoom', ({ roomId, players }) => {
-    const game = new Game(players);
-    rooms[roomId] = { game, players: [...players] };
+  // A payload that is not an object at all (e.g. null) is treated like a
+  // missing one
+  socket.use((packet, next) => {
+    if (packet.length > 1 && (packet[1] === null || typeof packet[1] !== 'object')) packet[1] = {};
+    next();
+  });
+
+  // Handler for creating a new room. Expects a unique roomId, the host's
+  // player name and optionally the house rules (a preset name or
+  // overrides, see rules.js), the seconds allowed per turn (`turnTime`, 0
+  // for no limit), what happens when they run out (`onTimeout`) and how
+  // many seconds spectators lag behind (`spectatorDelay`). The room opens in the lobby with the
+  // creating socket as host in the first seat; it joins the room and a
+  // notification is emitted to all clients in the room.
+  socket.on('createRoom', ({
+    roomId, playerName, rules, decks = null, turnTime = DEFAULT_TURN_TIME, onTimeout = 'pickup', spectatorDelay = 0,
+  } = {}) => {
+    try {
+      if (!isId(roomId)) throw new Error('Give the room a name.');
+      if (!isId(playerName)) throw new Error('Enter your name.');
+      if (decks !== null && (!Number.isInteger(decks) || decks < 1 || decks > MAX_ROOM_DECKS)) {
+        throw new Error(`The number of decks must be a whole number from 1 to ${MAX_ROOM_DECKS}.`);
+      }
+      if (!isSeconds(spectatorDelay, MAX_SPECTATOR_DELAY)) {
+        throw new Error(`The spectator delay must be a number of seconds up to ${MAX_SPECTATOR_DELAY}.`);
+      }
+      if (rooms[roomId]) throw new Error(`Room ${roomId} already exists.`);
+      resolveRules(rules);
+      checkTimerSettings(turnTime, onTimeout);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message });
+      return;
+    }
+    // `sockets` maps socket ids to the seat each plays in (null for
+    // spectators) and `tokens` seats to their reconnect tokens
+    const room = {
+      phase: 'lobby',
+      rules,
+      decks,
+      seats: [{ name: playerName, bot: null, ready: false }],
+      host: 0,
+      sockets: {},
+      tokens: {},
+      bots: {},
+      game: null,
+      results: null,
+      turnTime,
+      onTimeout,
+      spectatorDelay,
+      timer: null,
+      chat: [],
+      mutes: {},
+    };
+    rooms[roomId] = room;
+    bindSeat(room, roomId, socket, 0);
     socket.join(roomId);
     io.to(roomId).emit('roomCreated', { roomId });
+    broadcastState(roomId, 'Waiting for players.');
+  });
+
+  // Handler for a player joining an existing room. A client passing the
+  // reconnect `token` it was given in `seatAssigned` reclaims that seat,
+  // e.g. after its connection dropped. Otherwise, while the room is in the
+  // lobby, the player takes the next seat; once a game has started (or with
+  // `role: 'spectator'`) the socket watches as a spectator. A notification
+  // naming the seat (null for spectators) is emitted to the room and the
+  // new client is sent its view of the game, preceded by the moves made so
+  // far.
+  socket.on('joinRoom', ({ roomId, playerName, token, role = 'player' } = {}) => {
+    const room = getRoom(roomId);
+    if (!room) {
+      socket.emit('invalidMove', { reason: `No room called ${roomId}.` });
+      return;
+    }
+    if (!ROLES.includes(role)) {
+      socket.emit('invalidMove', { reason: `Unknown role: ${role}` });
+      return;
+    }
+    let seat = null;
+    if (token) {
+      const owned = Object.keys(room.tokens).find(s => room.tokens[s] === token);
+      if (owned === undefined) {
+        socket.emit('invalidMove', { reason: 'Unknown reconnect token.' });
+        return;
+      }
+      seat = Number(owned);
+      playerName = room.seats[seat].name;
+    } else if (role === 'player' && room.phase === 'lobby') {
+      if (!isId(playerName)) {
+        socket.emit('invalidMove', { reason: 'Enter your name.' });
+        return;
+      }
+      if (room.seats.length >= seatLimit(room)) {
+        socket.emit('invalidMove', { reason: `The room is full (${seatLimit(room)} players).` });
+        return;
+      }
+      room.seats.push({ name: playerName, bot: null, ready: false });
+      seat = room.seats.length - 1;
+    }
+    if (seat === null) room.sockets[socket.id] = null;
+    else bindSeat(room, roomId, socket, seat);
+    socket.join(roomId);
+    if (room.game && room.logSent > 0) {
+      const history = { roomId, events: room.game.getPublicEvents(0, room.logSent) };
+      if (seat === null) toSpectator(room, socket.id, 'gameEvents', history);
+      else socket.emit('gameEvents', history);
+    }
+    const chatHistory = { roomId, messages: visibleChat(room, socket.id, room.chat) };
+    if (seat === null) toSpectator(room, socket.id, 'chatHistory', chatHistory);
+    else socket.emit('chatHistory', chatHistory);
+    emitToRoom(roomId, 'playerJoined', { playerName, seat });
+    broadcastState(roomId, seat === null ? `${playerName} is watching.` : `${playerName} joins the room.`);
+  });
+
+  // Lobby handler for a player saying whether they are ready to start.
+  socket.on('readyUp', ({ roomId, ready = true } = {}) => {
+    const seated = seatedPlayer(socket, roomId, 'lobby');
+    if (!seated) return;
+    const { room, seat } = seated;
+    room.seats[seat].ready = !!ready;
+    broadcastState(roomId, `${room.seats[seat].name} is ${ready ? 'ready' : 'not ready'}.`);
+  });
+
+  // Host-only lobby handler filling the next seat with a computer player
+  // of the given difficulty. Bots are always ready.
+  socket.on('addBot', ({ roomId, level = 'medium' } = {}) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(socket, room)) return;
+    try {
+      if (room.phase !== 'lobby') throw new Error('The game has already started.');
+      if (room.seats.length >= seatLimit(room)) throw new Error(`The room is full (${seatLimit(room)} players).`);
+      createBot(level);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message });
+      return;
+    }
+    const name = `${level[0].toUpperCase()}${level.slice(1)} bot ${room.seats.length + 1}`;
+    room.seats.push({ name, bot: level, ready: true });
+    broadcastState(roomId, `${name} takes a seat.`);
+  });
+
+  // Host-only handler starting a game for everyone seated in the lobby once
+  // there are enough players and all of them are ready.
+  socket.on('startGame', ({ roomId } = {}) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(socket, room)) return;
+    let reason = null;
+    if (room.phase !== 'lobby') reason = 'The game has already started.';
+    else if (room.seats.length < MIN_SEATS) reason = `At least ${MIN_SEATS} players are needed.`;
+    else if (room.seats.some(s => !s.ready)) reason = 'Not everyone is ready.';
+    if (reason) {
+      socket.emit('invalidMove', { reason });
+      return;
+    }
+    startRoomGame(roomId);
   });
 
-  // Handler for a player joining an existing room. The player's name is
-  // appended to the room's player list and a notification is emitted.
-  socket.on('joinRoom', ({ roomId, playerName }) => {
-    const room = rooms[roomId];
-    if (room) {
-      room.players.push(playerName);
-      socket.join(roomId);
-      io.to(roomId).emit('playerJoined', { playerName });
+  // Host-only handler dealing a new game once the last one is over, with
+  // everyone keeping their seats.
+  socket.on('rematch', ({ roomId } = {}) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(socket, room)) return;
+    if (room.phase !== 'finished') {
+      socket.emit('invalidMove', { reason: 'The current game is not over yet.' });
+      return;
     }
+    startRoomGame(roomId);
   });
 
-  // Handler for a move being made. The client sends the roomId, the
-  // player index, and an array of card indices to play. The server
+  // Host-only handler removing the player in `seat` from the room. Their
+  // socket is sent `kicked` and their reconnect token revoked. In the lobby
+  // the seat is given up; during a game a medium computer player takes it
+  // over.
+  socket.on('kickPlayer', ({ roomId, seat } = {}) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(socket, room)) return;
+    if (!isIndex(seat) || seat === room.host || !room.seats[seat] || (room.phase !== 'lobby' && room.seats[seat].bot)) {
+      socket.emit('invalidMove', { reason: 'There is no player to kick in that seat.' });
+      return;
+    }
+    for (const [socketId, bound] of Object.entries(room.sockets)) {
+      if (bound !== seat) continue;
+      delete room.sockets[socketId];
+      io.to(socketId).emit('kicked', { roomId });
+      const kicked = io.sockets.sockets.get(socketId);
+      if (kicked) kicked.leave(roomId);
+    }
+    delete room.tokens[seat];
+    const { name } = room.seats[seat];
+    if (room.phase === 'lobby') {
+      removeSeat(room, seat);
+      broadcastState(roomId, `${name} was removed.`);
+      return;
+    }
+    room.seats[seat].bot = 'medium';
+    const { game } = room;
+    room.bots[seat] = createBot('medium');
+    if (game.phase === 'setup' && !game.players[seat].ready) setupBot(game, seat, room.bots[seat]);
+    broadcastState(roomId, `${name} was removed; a computer player takes over.`);
+    if (room.phase === 'playing') runBots(roomId);
+  });
+
+  // Handlers for the setup phase. Before play starts each player may swap
+  // a hand card with a face-up card (given as indices into each zone) and
+  // then declares ready. Play begins once every player is ready. Like every
+  // move these act for the seat the socket is bound to.
+  socket.on('swapCards', ({ roomId, handIndex, faceUpIndex } = {}) => {
+    const seated = seatedPlayer(socket, roomId);
+    if (!seated) return;
+    const { room, player } = seated;
+    if (!isIndex(handIndex) || !isIndex(faceUpIndex)) {
+      socket.emit('invalidMove', { reason: 'Pick a hand card and a face-up card by position.' });
+      return;
+    }
+    try {
+      room.game.swapCards(player, player.hand[handIndex], player.faceUp[faceUpIndex]);
+      broadcastState(roomId, `${player.name} swaps cards.`);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message || 'Invalid swap.' });
+    }
+  });
+
+  socket.on('ready', ({ roomId } = {}) => {
+    const seated = seatedPlayer(socket, roomId);
+    if (!seated) return;
+    const { room, player } = seated;
+    try {
+      room.game.setReady(player);
+      broadcastState(roomId, `${player.name} is ready.`);
+      runBots(roomId);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message || 'Invalid move.' });
+    }
+  });
+
+  // Handler for a move being made. The client sends the roomId and an
+  // array of cards to play; the move is made for the seat the socket is
+  // bound to. Each entry is either an index into the player's hand or a
+  // `{ zone, index }` pair naming the zone ('hand' or 'faceUp') explicitly,
+  // which is needed to play face-up cards. Cards from the wrong zone are rejected by the game. The server
   // validates the current turn, converts indices to card objects and
-  // executes the move via game.playTurn. Afterwards it constructs a
-  // serialized representation of the game state and broadcasts it to
-  // all clients in the room. Invalid moves result in an error event.
-  socket.on('makeMove', ({ roomId, playerIndex, move }) => {
-    const room = rooms[roomId];
-    if (!room) return;
+  // executes the move via game.playTurn. Afterwards it broadcasts the new
+  // game state to all clients in the room. Invalid moves result in an error event.
+  socket.on('makeMove', ({ roomId, move } = {}) => {
+    const seated = seatedPlayer(socket, roomId);
+    if (!seated) return;
+    const { room, seat, player } = seated;
     const game = room.game;
+    const valid = Array.isArray(move) && move.every(entry => isIndex(entry)
+      || (entry && ZONES.includes(entry.zone) && isIndex(entry.index)));
+    if (!valid) {
+      socket.emit('invalidMove', { reason: 'Name the cards to play by position.' });
+      return;
+    }
     // Validate turn
-    if (game.currentPlayer !== playerIndex) {
+    if (game.currentPlayer !== seat) {
       socket.emit('invalidMove', { reason: 'Not your turn.' });
       return;
     }
-    const player = game.players[playerIndex];
     try {
       // Convert indices to card objects
-      const cardsToPlay = move.map(i => player.hand[i]);
+      const cardsToPlay = move.map(entry => (typeof entry === 'number'
+        ? player.hand[entry]
+        : (player[entry.zone] || [])[entry.index]));
       // Play the turn
       const status = game.playTurn(player, cardsToPlay);
-      // Build serialized state
-      const state = {
-        currentPlayer: game.currentPlayer,
-        players: game.players.map(p => ({
-          id: p.id,
-          name: p.name,
-          hand: p.hand.map(c => c.toString()),
-          faceUp: p.faceUp.map(c => c.toString()),
-          faceDownCount: p.faceDown.length,
-          finished: p.finished,
-        })),
-        pileTop: game.getTopCard() ? game.getTopCard().toString() : null,
-        pileCount: game.pile.length,
-        deckCount: game.deck.cards.length,
-        status,
-      };
       // Broadcast state
-      io.to(roomId).emit('stateUpdate', state);
+      broadcastState(roomId, status);
+      runBots(roomId);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message || 'Invalid move.' });
+    }
+  });
+
+  // Handler for playing a face-down card blind. The client sends the
+  // position of the face-down card to turn over. Everyone in the room is
+  // told which card was revealed and whether it could be played; if not,
+  // the player has picked up the pile together with that card.
+  socket.on('playBlind', ({ roomId, index } = {}) => {
+    const seated = seatedPlayer(socket, roomId);
+    if (!seated) return;
+    const { room, seat, player } = seated;
+    if (!isIndex(index)) {
+      socket.emit('invalidMove', { reason: 'Pick a face-down card by position.' });
+      return;
+    }
+    try {
+      const { card, playable } = room.game.playBlind(player, index);
+      emitToRoom(roomId, 'blindPlay', { playerIndex: seat, card: card.toString(), playable });
+      broadcastState(roomId, playable
+        ? `${player.name} turns over ${card.toString()} and plays it.`
+        : `${player.name} turns over ${card.toString()} and picks up the pile.`);
+      runBots(roomId);
     } catch (err) {
       socket.emit('invalidMove', { reason: err.message || 'Invalid move.' });
     }
   });
 
-  // Handle disconnections by simply logging. In the future you may
-  // implement cleanup of rooms or tournaments here.
+  // Handler for creating a tournament. Expects a unique tournamentId, the
+  // organiser's player name, the house rules and turn timer settings for
+  // every game (as for createRoom) and the tournament settings (`format`,
+  // `tableSize`, `gamesPerMatch`, `rounds` and `scoring`, see
+  // tournament.js). The organiser is the first
+  // participant and is sent a `tournamentJoined` event with their
+  // participant number and a reconnect token.
+  socket.on('createTournament', ({
+    tournamentId, playerName, rules, turnTime = DEFAULT_TURN_TIME, onTimeout = 'pickup', ...settings
+  } = {}) => {
+    let tournament;
+    try {
+      if (!isId(tournamentId)) throw new Error('Give the tournament a name.');
+      if (!isId(playerName)) throw new Error('Enter your name.');
+      if (tournaments[tournamentId]) throw new Error(`Tournament ${tournamentId} already exists.`);
+      resolveRules(rules);
+      checkTimerSettings(turnTime, onTimeout);
+      tournament = new Tournament(settings);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message });
+      return;
+    }
+    const player = tournament.addPlayer(playerName);
+    const token = crypto.randomUUID();
+    tournaments[tournamentId] = {
+      tournament,
+      rules,
+      turnTime,
+      onTimeout,
+      host: player,
+      sockets: { [socket.id]: player },
+      tokens: { [player]: token },
+      rooms: [],
+    };
+    socket.join(`tournament:${tournamentId}`);
+    socket.emit('tournamentJoined', { tournamentId, player, token });
+    broadcastTournament(tournamentId);
+  });
+
+  // Handler for joining a tournament. Before it starts a player signs up
+  // under their name; afterwards (or with `role: 'spectator'`) the socket
+  // follows the standings as a spectator. A participant passing their
+  // reconnect `token` is put back at their table.
+  socket.on('joinTournament', ({ tournamentId, playerName, token, role = 'player' } = {}) => {
+    const entry = getTournament(tournamentId);
+    if (!entry) {
+      socket.emit('invalidMove', { reason: `No tournament called ${tournamentId}.` });
+      return;
+    }
+    let player = null;
+    if (token) {
+      const owned = Object.keys(entry.tokens).find(p => entry.tokens[p] === token);
+      if (owned === undefined) {
+        socket.emit('invalidMove', { reason: 'Unknown reconnect token.' });
+        return;
+      }
+      player = Number(owned);
+    } else if (role === 'player' && entry.tournament.round === 0) {
+      if (!isId(playerName)) {
+        socket.emit('invalidMove', { reason: 'Enter your name.' });
+        return;
+      }
+      player = entry.tournament.addPlayer(playerName);
+      entry.tokens[player] = crypto.randomUUID();
+    }
+    entry.sockets[socket.id] = player;
+    socket.join(`tournament:${tournamentId}`);
+    if (player !== null) {
+      socket.emit('tournamentJoined', { tournamentId, player, token: entry.tokens[player] });
+      seatAtTable(tournamentId, player, socket);
+    }
+    broadcastTournament(tournamentId);
+  });
+
+  // Organiser-only handler signing up a computer participant.
+  socket.on('addTournamentBot', ({ tournamentId, level = 'medium' } = {}) => {
+    const entry = getTournament(tournamentId);
+    if (!entry) return;
+    try {
+      if (entry.sockets[socket.id] !== entry.host) throw new Error('Only the organiser can do that.');
+      createBot(level);
+      const { players } = entry.tournament;
+      entry.tournament.addPlayer(`${level[0].toUpperCase()}${level.slice(1)} bot ${players.length + 1}`, level);
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message });
+      return;
+    }
+    broadcastTournament(tournamentId);
+  });
+
+  // Organiser-only handler starting the tournament. Every participant is
+  // sent a `tournamentTable` event naming the room and seat of their table
+  // for each round, `tournamentUpdate` carries the standings after every
+  // game and `tournamentOver` the final leaderboard.
+  socket.on('startTournament', ({ tournamentId } = {}) => {
+    const entry = getTournament(tournamentId);
+    if (!entry) return;
+    try {
+      if (entry.sockets[socket.id] !== entry.host) throw new Error('Only the organiser can do that.');
+      entry.tournament.start();
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message });
+      return;
+    }
+    seatRound(tournamentId);
+  });
+
+  // Handlers for table talk: free text messages (`text`, at most
+  // MAX_MESSAGE_LENGTH characters) and quick reactions (`reaction`, a key
+  // of QUICK_REACTIONS in chat.js), both rate limited per client.
+  socket.on('chatMessage', ({ roomId, text } = {}) => {
+    try {
+      postChat(socket, roomId, { text: checkMessage(text) });
+    } catch (err) {
+      socket.emit('invalidMove', { reason: err.message });
+    }
+  });
+
+  socket.on('reaction', ({ roomId, reaction } = {}) => {
+    if (!Object.prototype.hasOwnProperty.call(QUICK_REACTIONS, reaction)) {
+      socket.emit('invalidMove', { reason: `Unknown reaction: ${reaction}` });
+      return;
+    }
+    postChat(socket, roomId, { reaction, text: QUICK_REACTIONS[reaction] });
+  });
+
+  // Handler for muting (or with `muted: false` unmuting) the player in
+  // `seat`: the client no longer receives their messages and reactions.
+  socket.on('mutePlayer', ({ roomId, seat, muted = true } = {}) => {
+    const room = getRoom(roomId);
+    if (!room || !(socket.id in room.sockets)) return;
+    if (!isIndex(seat)) {
+      socket.emit('invalidMove', { reason: 'Name the seat to mute.' });
+      return;
+    }
+    const key = muteKey(room, socket.id);
+    const list = (room.mutes[key] || []).filter(s => s !== seat);
+    room.mutes[key] = muted ? [...list, seat] : list;
+    saveRoom(roomId);
+    socket.emit('muted', { roomId, muted: room.mutes[key] });
+  });
+
+  // Suggest a move to the player whose turn it is, chosen by the hard bot
+  // and sent back as a `hint` in the same form as their legalMoves.
+  socket.on('hint', ({ roomId } = {}) => {
+    const seated = seatedPlayer(socket, roomId);
+    if (!seated) return;
+    const { room, player } = seated;
+    const move = hint(room.game, player);
+    if (!move) {
+      socket.emit('invalidMove', { reason: 'Not your turn.' });
+      return;
+    }
+    socket.emit('hint', { roomId, move: room.game.movePositions(player, move) });
+  });
+
+  // Handler returning a player's statistics (games played, wins and times
+  // being the shithead) in a `stats` event.
+  socket.on('getStats', ({ playerName } = {}) => {
+    if (!isId(playerName)) {
+      socket.emit('invalidMove', { reason: 'Name the player.' });
+      return;
+    }
+    socket.emit('stats', { playerName, ...storage.getPlayerStats(playerName) });
+  });
+
+  // Handle disconnections by forgetting the socket in every room and
+  // tournament it was in. Seats stay reserved for whoever holds their
+  // reconnect token, while a computer player stands in for them.
   socket.on('disconnect', () => {
     console.log('Client disconnected', socket.id);
+    for (const [roomId, room] of Object.entries(rooms)) {
+      const seat = room.sockets[socket.id];
+      delete room.sockets[socket.id];
+      if (seat === null) {
+        emitToRoom(roomId, 'watchers', { roomId, spectators: roomView(roomId).spectators });
+      }
+      // Nobody else holds the seat, so its turns are played automatically
+      if (seat !== undefined && seat !== null && room.phase === 'playing'
+        && !room.bots[seat] && !Object.values(room.sockets).includes(seat)) {
+        standIn(roomId, seat);
+      }
+    }
+    for (const entry of Object.values(tournaments)) {
+      delete entry.sockets[socket.id];
+    }
   });
 });
 
+restore();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
@@ -0,0 +1,191 @@
+/*
+ * Headless simulation harness.
+ *
+ * Plays many games between bots from ai.js without any user interface and
+ * reports statistics: win and shithead rates per seat and per bot level,
+ * average game length, how often and how early the deck runs out, the
+ * frequency of burns, skips, reversals and pick‑ups, and how many games
+ * got stuck.  A game counts as stuck (a stalemate) when the same position
+ * comes up repeatedly or it runs past a turn limit.  Useful for tuning the
+ * bots and for checking that a new house rule variant is balanced.
+ *
+ * Run from the command line, for example:
+ *
+ *   node simulate.js --games 2000 --bots easy,medium,hard --rules reverseNine
+ *
+ * Options: --games N, --bots level,level,… (one per seat, 2 to 10;
+ * six or more play with two decks), --rules
+ * preset name or JSON overrides, --seed S, --max-turns N, --rotate (move
+ * the bots round the table every game to separate seat from bot strength)
+ * and --json (print the raw statistics).  simulate() can also be required
+ * and called directly.
+ */
+
+const { Game, createRng } = require('./game');
+const {
+  MAX_BOT_TURNS, createBot, setupBot, playBotTurn, createStalemateGuard,
+} = require('./ai');
+const { parseArgs } = require('./args');
+
+/**
+ * Play one game between bots.
+ *
+ * @param {string[]} levels Bot level for each seat.
+ * @param {object} options
+ * @param {number|string} options.seed Seed for the deal and the bots.
+ * @param {string|object} [options.rules] House rules.
+ * @param {number} [options.maxTurns=2000] Turn limit.
+ * @returns {object} Summary of the game.
+ */
+function playGame(levels, { seed, rules, maxTurns = MAX_BOT_TURNS }) {
+  const game = new Game(levels, { seed, rules });
+  const random = createRng(`${seed}:bots`);
+  const bots = levels.map(level => createBot(level, { random }));
+  bots.forEach((bot, seat) => setupBot(game, seat, bot));
+  const stuck = createStalemateGuard({ maxTurns });
+  let turns = 0;
+  let deckOutTurn = null;
+  let stalemate = false;
+  while (!game.isGameOver()) {
+    if (stuck(game)) {
+      stalemate = true;
+      break;
+    }
+    playBotTurn(game, bots[game.currentPlayer]);
+    turns++;
+    if (deckOutTurn === null && game.deck.cards.length === 0) deckOutTurn = turns;
+  }
+  const events = {};
+  for (const entry of game.log) {
+    if (!entry.auto) events[entry.type] = (events[entry.type] || 0) + 1;
+  }
+  return {
+    turns,
+    stalemate,
+    deckOutTurn,
+    events,
+    winner: stalemate ? null : game.getWinner().id,
+    shithead: stalemate ? null : game.getShithead().id,
+  };
+}
+
+/**
+ * Simulate a series of games and collect statistics.
+ *
+ * @param {object} [options]
+ * @param {number} [options.games=1000] Number of games to play.
+ * @param {string[]} [options.bots] Bot level for each seat.
+ * @param {string|object} [options.rules] House rules for every game.
+ * @param {number|string} [options.seed] Base seed; game i uses `${seed}:${i}`.
+ * @param {number} [options.maxTurns=2000] Turn limit per game.
+ * @param {boolean} [options.rotate=false] Shift the bots one seat along
+ *        after every game.
+ * @returns {object} Statistics, see formatReport() for their meaning.
+ */
+function simulate(options = {}) {
+  const {
+    games = 1000,
+    bots = ['medium', 'medium'],
+    rules,
+    seed = Date.now(),
+    maxTurns = MAX_BOT_TURNS,
+    rotate = false,
+  } = options;
+  if (bots.length < 2 || bots.length > 10) throw new Error('Between 2 and 10 bots are required');
+  const seats = bots.map(() => ({ games: 0, wins: 0, shitheads: 0 }));
+  const levels = {};
+  const events = {};
+  let completed = 0;
+  let stalemates = 0;
+  let totalTurns = 0;
+  let deckOuts = 0;
+  let deckOutTurns = 0;
+  for (let i = 0; i < games; i++) {
+    const shift = rotate ? i % bots.length : 0;
+    const order = bots.map((_, seat) => bots[(seat + shift) % bots.length]);
+    const result = playGame(order, { seed: `${seed}:${i}`, rules, maxTurns });
+    for (const [type, count] of Object.entries(result.events)) {
+      events[type] = (events[type] || 0) + count;
+    }
+    if (result.deckOutTurn !== null) {
+      deckOuts++;
+      deckOutTurns += result.deckOutTurn;
+    }
+    if (result.stalemate) {
+      stalemates++;
+      continue;
+    }
+    completed++;
+    totalTurns += result.turns;
+    order.forEach((level, seat) => {
+      if (!levels[level]) levels[level] = { games: 0, wins: 0, shitheads: 0 };
+      seats[seat].games++;
+      levels[level].games++;
+      if (result.winner === seat) {
+        seats[seat].wins++;
+        levels[level].wins++;
+      }
+      if (result.shithead === seat) {
+        seats[seat].shitheads++;
+        levels[level].shitheads++;
+      }
+    });
+  }
+  const perGame = {};
+  for (const [type, count] of Object.entries(events)) perGame[type] = count / games;
+  return {
+    games,
+    completed,
+    stalemates,
+    averageTurns: completed ? totalTurns / completed : 0,
+    deckOutRate: deckOuts / games,
+    averageDeckOutTurn: deckOuts ? deckOutTurns / deckOuts : null,
+    eventsPerGame: perGame,
+    seats,
+    levels,
+  };
+}
+
+/**
+ * Render simulation statistics as a readable report.
+ *
+ * @param {object} stats Result of simulate().
+ * @returns {string}
+ */
+function formatReport(stats) {
+  const pct = (n, d) => (d ? `${((100 * n) / d).toFixed(1)}%` : '-');
+  const lines = [];
+  lines.push(`Games: ${stats.games} (${stats.completed} completed, ${stats.stalemates} stuck)`);
+  lines.push(`Average length: ${stats.averageTurns.toFixed(1)} turns`);
+  lines.push(`Deck ran out in ${pct(stats.deckOutRate * stats.games, stats.games)} of games` +
+    (stats.averageDeckOutTurn !== null ? `, on average after ${stats.averageDeckOutTurn.toFixed(1)} turns` : ''));
+  lines.push('Per game: ' + ['burn', 'skip', 'reverse', 'reset', 'pickup', 'blindFailed']
+    .map(type => `${type} ${(stats.eventsPerGame[type] || 0).toFixed(2)}`)
+    .join(', '));
+  lines.push('Seats:');
+  stats.seats.forEach((s, seat) => {
+    lines.push(`  ${seat}: wins ${pct(s.wins, s.games)}, shithead ${pct(s.shitheads, s.games)}`);
+  });
+  lines.push('Bots:');
+  for (const [level, s] of Object.entries(stats.levels)) {
+    lines.push(`  ${level}: wins ${pct(s.wins, s.games)}, shithead ${pct(s.shitheads, s.games)} (${s.games} seats played)`);
+  }
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  let rules = args.rules;
+  if (typeof rules === 'string' && rules.trim().startsWith('{')) rules = JSON.parse(rules);
+  const stats = simulate({
+    games: args.games ? parseInt(args.games, 10) : undefined,
+    bots: args.bots ? args.bots.split(',') : undefined,
+    rules,
+    seed: args.seed,
+    maxTurns: args['max-turns'] ? parseInt(args['max-turns'], 10) : undefined,
+    rotate: !!args.rotate,
+  });
+  console.log(args.json ? JSON.stringify(stats, null, 2) : formatReport(stats));
+}
+
+module.exports = { simulate, playGame, formatReport };
@@ -0,0 +1,214 @@
+/*
+ * Storage for the server: rooms and tournaments in progress, records of
+ * completed games and per‑player statistics.
+ *
+ * Two implementations share the same synchronous interface.  MemoryStorage
+ * keeps everything in objects without a prototype (so that ids and names
+ * such as "__proto__" are plain keys) and is meant for tests; FileStorage
+ * writes JSON files to a directory so that a server can be restarted (even
+ * offline) without losing games:
+ *
+ *   <dir>/rooms/<id>.json        one file per room
+ *   <dir>/tournaments/<id>.json  one file per tournament
+ *   <dir>/games.jsonl            one line per completed game
+ *   <dir>/players.json           statistics by player name
+ *
+ * Rooms and tournaments are stored as the plain data the server gives
+ * them (games via Game#toJSON); the storage does not interpret them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Update statistics with the result of a completed game.
+ *
+ * @param {object} stats Statistics by player name, updated in place.  It
+ *        must not have a prototype, as any name can be a key.
+ * @param {object} record Game record, see Storage#recordGame().
+ */
+function addToStats(stats, record) {
+  for (const { name, bot, position } of record.players) {
+    if (bot) continue;
+    const s = stats[name] || (stats[name] = { games: 0, wins: 0, shitheads: 0 });
+    s.games++;
+    if (position === 1) s.wins++;
+    if (position === record.players.length) s.shitheads++;
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.rooms = Object.create(null);
+    this.tournaments = Object.create(null);
+    this.games = [];
+    this.stats = Object.create(null);
+  }
+
+  /**
+   * Save the state of a room, replacing any earlier version.
+   *
+   * @param {string} roomId
+   * @param {object} data JSON‑safe room state.
+   */
+  saveRoom(roomId, data) {
+    this.rooms[roomId] = JSON.parse(JSON.stringify(data));
+  }
+
+  /**
+   * Every saved room.
+   *
+   * @returns {Object<string, object>} Room state by room id.
+   */
+  loadRooms() {
+    return JSON.parse(JSON.stringify(this.rooms));
+  }
+
+  /**
+   * Save the state of a tournament, replacing any earlier version.
+   *
+   * @param {string} tournamentId
+   * @param {object} data JSON‑safe tournament state.
+   */
+  saveTournament(tournamentId, data) {
+    this.tournaments[tournamentId] = JSON.parse(JSON.stringify(data));
+  }
+
+  /**
+   * Every saved tournament.
+   *
+   * @returns {Object<string, object>} Tournament state by id.
+   */
+  loadTournaments() {
+    return JSON.parse(JSON.stringify(this.tournaments));
+  }
+
+  /**
+   * Store the record of a completed game and add it to the players'
+   * statistics.
+   *
+   * @param {object} record At least `players`, a list of
+   *        `{ name, bot, position }` with the shithead in last position.
+   */
+  recordGame(record) {
+    this.games.push(JSON.parse(JSON.stringify(record)));
+    addToStats(this.stats, record);
+  }
+
+  /**
+   * Records of completed games, oldest first.
+   *
+   * @returns {object[]}
+   */
+  listGames() {
+    return JSON.parse(JSON.stringify(this.games));
+  }
+
+  /**
+   * Statistics for one player.
+   *
+   * @param {string} name
+   * @returns {{games: number, wins: number, shitheads: number}}
+   */
+  getPlayerStats(name) {
+    return { games: 0, wins: 0, shitheads: 0, ...this.stats[name] };
+  }
+}
+
+class FileStorage {
+  /**
+   * @param {string} dir Directory to keep the data in; created if needed.
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(path.join(dir, 'rooms'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'tournaments'), { recursive: true });
+  }
+
+  /**
+   * Write a file in one go, so that a crash never leaves half of it.
+   *
+   * @param {string} file
+   * @param {string} text
+   */
+  write(file, text) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Read every JSON file in one of the sub‑directories.
+   *
+   * @param {string} sub
+   * @returns {Object<string, object>} Contents by id, in an object without
+   *          a prototype.
+   */
+  readAll(sub) {
+    const result = Object.create(null);
+    for (const file of fs.readdirSync(path.join(this.dir, sub))) {
+      if (!file.endsWith('.json')) continue;
+      const id = decodeURIComponent(file.slice(0, -5));
+      result[id] = JSON.parse(fs.readFileSync(path.join(this.dir, sub, file), 'utf8'));
+    }
+    return result;
+  }
+
+  /**
+   * File name for a room or tournament id, which may contain any
+   * characters.
+   *
+   * @param {string} sub
+   * @param {string} id
+   * @returns {string}
+   */
+  fileFor(sub, id) {
+    return path.join(this.dir, sub, `${encodeURIComponent(id)}.json`);
+  }
+
+  saveRoom(roomId, data) {
+    this.write(this.fileFor('rooms', roomId), JSON.stringify(data));
+  }
+
+  loadRooms() {
+    return this.readAll('rooms');
+  }
+
+  saveTournament(tournamentId, data) {
+    this.write(this.fileFor('tournaments', tournamentId), JSON.stringify(data));
+  }
+
+  loadTournaments() {
+    return this.readAll('tournaments');
+  }
+
+  recordGame(record) {
+    fs.appendFileSync(path.join(this.dir, 'games.jsonl'), `${JSON.stringify(record)}\n`);
+    const stats = this.readStats();
+    addToStats(stats, record);
+    this.write(path.join(this.dir, 'players.json'), JSON.stringify(stats, null, 2));
+  }
+
+  listGames() {
+    const file = path.join(this.dir, 'games.jsonl');
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  getPlayerStats(name) {
+    return { games: 0, wins: 0, shitheads: 0, ...this.readStats()[name] };
+  }
+
+  /**
+   * Statistics of every player.
+   *
+   * @returns {object}
+   */
+  readStats() {
+    const file = path.join(this.dir, 'players.json');
+    const stats = Object.create(null);
+    return fs.existsSync(file) ? Object.assign(stats, JSON.parse(fs.readFileSync(file, 'utf8'))) : stats;
+  }
+}
+
+module.exports = { MemoryStorage, FileStorage };
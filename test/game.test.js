@@ -0,0 +1,198 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, Card, MAX_DECKS, cardsKey } = require('../game');
+
+const cards = count => Array.from({ length: count }, (_, i) => ({ rank: 3 + (i % 12), suit: 'hearts' }));
+const card = (rank, suit = 'hearts') => new Card(rank, suit);
+
+/**
+ * A game in play with an empty stock in which the current player holds
+ * exactly the cards given and the pile is laid out as given.
+ */
+function laidOut({ hand = [], faceUp = [], faceDown = [], pile = [], rules } = {}) {
+  const game = new Game(['Ann', 'Bob', 'Cat'], { seed: 1, rules, setupPhase: false });
+  const player = game.getCurrentPlayer();
+  Object.assign(player, { hand, faceUp, faceDown });
+  game.deck.cards = [];
+  game.pile = pile;
+  return { game, player };
+}
+
+describe('dealing', () => {
+  it('reject too many players for the decks', () => {
+    assert.throws(() => new Game(6, { decks: 1 }), /6 players need 54 cards but 1 deck only holds 52; play with at least 2 decks/);
+  });
+
+  it('reject fewer than one or more than MAX_DECKS decks', () => {
+    for (const decks of [0, 1.5, '2', MAX_DECKS + 1, 1e7]) {
+      assert.throws(() => new Game(2, { decks }), /Play with between 1 and 4 whole decks/, String(decks));
+    }
+    assert.equal(new Game(2, { decks: MAX_DECKS }).deck.cards.length, MAX_DECKS * 52 - 18);
+  });
+
+  it('reject a deck given with too few cards for the players', () => {
+    assert.throws(() => new Game(3, { deck: cards(26) }), /3 players need 27 cards but the deck given only holds 26/);
+    assert.doesNotThrow(() => new Game(3, { deck: cards(27) }));
+  });
+});
+
+describe('move positions', () => {
+  it('give played cards as positions in the zones they come from', () => {
+    const game = new Game(['Ann', 'Bob'], { seed: 1, rules: { crossZoneCombos: true }, setupPhase: false });
+    const player = game.getCurrentPlayer();
+    const [card] = player.hand;
+    const twin = player.faceUp[1];
+    player.hand = [card];
+    twin.rank = card.rank;
+    game.deck.cards = [];
+    game.pile = [];
+    const combo = game.legalMoves(player).find(move => move.cards.length === 2);
+    assert.deepEqual(game.movePositions(player, combo).cards, [{ zone: 'hand', index: 0 }, { zone: 'faceUp', index: 1 }]);
+    assert.deepEqual(game.movePositions(player, { type: 'pickup' }), { type: 'pickup' });
+  });
+});
+
+describe('picking up', () => {
+  it('refuse to pick up an empty pile and keep the turn', () => {
+    const game = new Game(['Ann', 'Bob'], { seed: 1, setupPhase: false });
+    const player = game.getCurrentPlayer();
+    assert.equal(game.pile.length, 0);
+    assert.throws(() => game.pickUpPile(player), /There is no pile to pick up/);
+    assert.throws(() => game.playTurn(player, []), /There is no pile to pick up/);
+    assert.equal(game.getCurrentPlayer(), player);
+    assert.ok(!game.legalMoves(player).some(move => move.type === 'pickup'));
+  });
+
+  it('take the pile into the hand and pass the turn', () => {
+    const game = new Game(['Ann', 'Bob'], { seed: 1, setupPhase: false });
+    const player = game.getCurrentPlayer();
+    const card = player.faceUp.pop();
+    game.pile.push(card);
+    game.pickUpPile(player);
+    assert.ok(player.hand.includes(card));
+    assert.equal(game.pile.length, 0);
+    assert.notEqual(game.getCurrentPlayer(), player);
+  });
+});
+
+describe('legal moves', () => {
+  const nines = (...suits) => suits.map(suit => new Card(9, suit));
+
+  it('list every set of one rank once, however many copies of a card there are', () => {
+    const game = new Game(['Ann', 'Bob'], { seed: 1, decks: 2, setupPhase: false });
+    const player = game.getCurrentPlayer();
+    player.hand = nines('hearts', 'hearts', 'spades', 'clubs');
+    game.pile = [];
+    const plays = game.legalMoves(player).filter(move => move.type === 'play');
+    // 0–2 hearts, 0–1 spades and 0–1 clubs, less the empty set
+    assert.equal(plays.length, 3 * 2 * 2 - 1);
+    assert.equal(new Set(plays.map(move => cardsKey(move.cards))).size, plays.length);
+    assert.deepEqual(plays.map(move => move.cards.length), [1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 4]);
+  });
+
+  it('stay quick for every copy of a rank in the largest game', () => {
+    const game = new Game(['Ann', 'Bob'], { seed: 1, decks: MAX_DECKS, setupPhase: false });
+    const player = game.getCurrentPlayer();
+    player.hand = Array.from({ length: MAX_DECKS }, () => nines('hearts', 'spades', 'clubs', 'diamonds')).flat();
+    game.pile = [];
+    assert.equal(game.legalMoves(player).filter(move => move.type === 'play').length, (MAX_DECKS + 1) ** 4 - 1);
+  });
+});
+
+describe('blind play', () => {
+  it('only turn over face-down cards once the hand and face-up cards are gone', () => {
+    const { game, player } = laidOut({ faceUp: [card(9)], faceDown: [card(4), card(5)] });
+    assert.throws(() => game.playBlind(player, 0), /once your hand and face‑up cards are gone/);
+    assert.equal(player.faceDown.length, 2);
+  });
+
+  it('lay a playable card on the pile', () => {
+    const { game, player } = laidOut({ faceDown: [card(4), card(12)], pile: [card(9, 'spades')] });
+    const { card: revealed, playable } = game.playBlind(player, 1);
+    assert.equal(revealed.rank, 12);
+    assert.ok(playable);
+    assert.deepEqual(player.faceDown.map(c => c.rank), [4]);
+    assert.equal(game.getTopCard().rank, 12);
+    assert.notEqual(game.getCurrentPlayer(), player);
+    assert.deepEqual(game.log.at(-1), { type: 'blind', player: player.id, index: 1, card: { rank: 12, suit: 'hearts' }, playable: true });
+  });
+
+  it('pick up the pile together with a card that cannot be played', () => {
+    const { game, player } = laidOut({ faceDown: [card(4), card(12)], pile: [card(6, 'spades'), card(9, 'spades')] });
+    const { card: revealed, playable } = game.playBlind(player, 0);
+    assert.equal(revealed.rank, 4);
+    assert.ok(!playable);
+    assert.deepEqual(player.hand.map(c => c.rank), [6, 9, 4]);
+    assert.deepEqual(player.faceDown.map(c => c.rank), [12]);
+    assert.equal(game.pile.length, 0);
+    assert.notEqual(game.getCurrentPlayer(), player);
+    assert.equal(game.activeZone(player), 'hand');
+  });
+
+  it('reject a position with no face-down card', () => {
+    const { game, player } = laidOut({ faceDown: [card(4)], pile: [card(9, 'spades')] });
+    assert.throws(() => game.playBlind(player, 1), /no face‑down card at that position/);
+    assert.equal(game.getCurrentPlayer(), player);
+  });
+});
+
+describe('zones', () => {
+  it('play from the hand first, then the face-up and then the face-down cards', () => {
+    const faceDown = [card(4)];
+    const { game, player } = laidOut({ hand: [card(9)], faceUp: [card(12)], faceDown });
+    assert.equal(game.activeZone(player), 'hand');
+    player.hand = [];
+    assert.equal(game.activeZone(player), 'faceUp');
+    player.faceUp = [];
+    assert.equal(game.activeZone(player), 'faceDown');
+    player.faceDown = [];
+    assert.equal(game.activeZone(player), null);
+  });
+
+  it('reject face-up cards while there are cards in hand', () => {
+    const faceUp = [card(12)];
+    const { game, player } = laidOut({ hand: [card(9)], faceUp });
+    assert.match(game.checkMove(player, faceUp), /Face‑up cards can only be played once your hand is empty/);
+    assert.throws(() => game.playCards(player, faceUp), /Face‑up cards can only be played/);
+    assert.ok(!game.legalMoves(player).some(move => move.cards && move.cards.includes(faceUp[0])));
+  });
+
+  it('reject face-down cards and cards the player does not hold', () => {
+    const faceDown = [card(4)];
+    const { game, player } = laidOut({ faceUp: [card(12)], faceDown });
+    assert.match(game.checkMove(player, faceDown), /Face‑down cards must be played blind/);
+    assert.match(game.checkMove(player, [card(12, 'clubs')]), /does not hold/);
+    assert.ok(game.isMoveValid(player, player.faceUp[0]));
+  });
+
+  it('reject mixed ranks and the same card twice', () => {
+    const hand = [card(9), card(9, 'clubs'), card(11)];
+    const { game, player } = laidOut({ hand });
+    assert.match(game.checkMove(player, [hand[0], hand[2]]), /same rank/);
+    assert.match(game.checkMove(player, [hand[0], hand[0]]), /does not hold/);
+    assert.equal(game.checkMove(player, [hand[0], hand[1]]), null);
+  });
+
+  it('let face-up cards join the last hand cards only with crossZoneCombos and an empty stock', () => {
+    const combo = () => {
+      const hand = [card(9)];
+      const faceUp = [card(9, 'clubs'), card(12)];
+      return { ...laidOut({ hand, faceUp, rules: { crossZoneCombos: true } }), play: [hand[0], faceUp[0]] };
+    };
+    let { game, player, play } = combo();
+    assert.equal(game.checkMove(player, play), null);
+    game.playCards(player, play);
+    assert.deepEqual(player.faceUp.map(c => c.rank), [12]);
+
+    ({ game, player, play } = combo());
+    game.deck.cards = [card(3)];
+    assert.match(game.checkMove(player, play), /Face‑up cards can only be played/);
+
+    ({ game, player, play } = combo());
+    player.hand.push(card(13));
+    assert.match(game.checkMove(player, play), /Face‑up cards can only be played/);
+
+    const { game: classic, player: other } = laidOut({ hand: [card(9)], faceUp: [card(9, 'clubs')] });
+    assert.match(classic.checkMove(other, [other.hand[0], other.faceUp[0]]), /Face‑up cards can only be played/);
+  });
+});
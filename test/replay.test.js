@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, createRng } = require('../game');
+const { createBot, createStalemateGuard } = require('../ai');
+
+const GAMES = [
+  { players: ['Ann', 'Bob'], seed: 2 },
+  { players: ['Ann', 'Bob', 'Cat', 'Dan'], seed: 'replay', rules: 'jokers' },
+  { players: ['Ann', 'Bob', 'Cat'], seed: 11, rules: 'reverseNine' },
+];
+
+const state = game => JSON.parse(JSON.stringify(game));
+
+/**
+ * Play a game between seeded bots, returning the game together with its
+ * state after every action.
+ */
+function playGame({ players, seed, rules }) {
+  const game = new Game(players, { seed, rules });
+  const random = createRng(`${seed}:bots`);
+  const bots = players.map(() => createBot('medium', { random }));
+  const states = [state(game)];
+  const act = (move, seat) => {
+    game.applyAction({ ...move, player: seat });
+    states.push(state(game));
+  };
+  bots.forEach((bot, seat) => {
+    for (const move of bot.chooseSetup(game.getPlayerView(seat))) act(move, seat);
+  });
+  const stuck = createStalemateGuard();
+  while (!game.isGameOver() && !stuck(game)) {
+    const seat = game.currentPlayer;
+    act(bots[seat].chooseMove(game.getPlayerView(seat)), seat);
+  }
+  return { game, states };
+}
+
+describe('replay, undo and redo', () => {
+  for (const setup of GAMES) {
+    describe(`${setup.players.length}-player game (seed ${setup.seed})`, () => {
+      const { game, states } = playGame(setup);
+
+      it('replay the whole log to the final position', () => {
+        assert.deepEqual(state(Game.replay(game.setup, game.log)), states[states.length - 1]);
+      });
+
+      it('replay part of the log to every earlier position', () => {
+        for (const expected of states) {
+          assert.deepEqual(state(Game.replay(game.setup, game.log, expected.log.length)), expected);
+        }
+      });
+
+      it('undo every action and redo them all again', () => {
+        const copy = Game.fromJSON(JSON.stringify(game));
+        for (let i = states.length - 2; i >= 0; i--) {
+          assert.ok(copy.undo());
+          assert.deepEqual(state(copy), states[i]);
+        }
+        assert.equal(copy.undo(), null);
+        for (let i = 1; i < states.length; i++) {
+          assert.ok(copy.redo());
+          assert.deepEqual(state(copy), states[i]);
+        }
+        assert.equal(copy.redo(), null);
+      });
+    });
+  }
+
+  it('clear the redo history when another action is taken', () => {
+    const game = new Game(['Ann', 'Bob'], { seed: 5 });
+    game.setReady(game.players[0]);
+    game.undo();
+    game.setReady(game.players[1]);
+    assert.equal(game.redo(), null);
+  });
+});
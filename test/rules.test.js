@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULES, RANK_JOKER, resolveRules, canPlayOn } = require('../rules');
+
+const pile = (...ranks) => ranks.map(rank => ({ rank }));
+
+describe('resolveRules', () => {
+  it('build on the classic rules, a preset and overrides', () => {
+    assert.deepEqual(resolveRules(), { ...DEFAULT_RULES, preset: 'classic' });
+    const rules = resolveRules({ preset: 'jokers', burnCount: 3 });
+    assert.deepEqual(rules.wild, [2, RANK_JOKER]);
+    assert.equal(rules.jokers, 2);
+    assert.equal(rules.burnCount, 3);
+    assert.ok(Object.isFrozen(rules));
+  });
+
+  it('accept resolved rules again, as snapshots store them', () => {
+    const rules = resolveRules('reverseNine');
+    assert.deepEqual(resolveRules(JSON.parse(JSON.stringify(rules))), rules);
+  });
+
+  it('reject unknown presets and rules', () => {
+    assert.throws(() => resolveRules('toString'), /Unknown rule preset: toString/);
+    assert.throws(() => resolveRules({ preset: '__proto__' }), /Unknown rule preset/);
+    assert.throws(() => resolveRules({ queens: [12] }), /Unknown rule: queens/);
+    assert.throws(() => resolveRules(null), /preset name or an object/);
+    assert.throws(() => resolveRules(['classic']), /preset name or an object/);
+  });
+
+  it('reject values that do not fit a rule', () => {
+    for (const overrides of [
+      { wild: null }, { skip: 5 }, { burn: ['10'] }, { lower: [7.5] }, { reverse: [1] }, { transparent: [16] },
+      { lowerInclusive: 'yes' }, { crossZoneCombos: 1 },
+      { burnCount: 1 }, { burnCount: '4' }, { jokers: -1 }, { jokers: 5 }, { jokers: 1e9 },
+    ]) {
+      assert.throws(() => resolveRules(overrides), Error, JSON.stringify(overrides));
+    }
+  });
+});
+
+describe('canPlayOn', () => {
+  const rules = resolveRules();
+
+  it('need a card at least as high as the top card', () => {
+    assert.ok(canPlayOn({ rank: 9 }, pile(9), rules));
+    assert.ok(canPlayOn({ rank: 14 }, pile(9), rules));
+    assert.ok(!canPlayOn({ rank: 4 }, pile(9), rules));
+    assert.ok(canPlayOn({ rank: 3 }, [], rules));
+  });
+
+  it('let wild, burn and transparent cards go on anything', () => {
+    for (const rank of [2, 10, 8]) assert.ok(canPlayOn({ rank }, pile(14), rules));
+  });
+
+  it('look through transparent cards and accept anything on a wild card', () => {
+    assert.ok(!canPlayOn({ rank: 6 }, pile(9, 8), rules));
+    assert.ok(canPlayOn({ rank: 9 }, pile(9, 8, 8), rules));
+    assert.ok(canPlayOn({ rank: 3 }, pile(14, 2), rules));
+  });
+
+  it('need an equal or lower card after a 7, or a lower one with strictSeven', () => {
+    assert.ok(canPlayOn({ rank: 7 }, pile(7), rules));
+    assert.ok(!canPlayOn({ rank: 9 }, pile(7), rules));
+    assert.ok(!canPlayOn({ rank: 7 }, pile(7), resolveRules('strictSeven')));
+    assert.ok(canPlayOn({ rank: 6 }, pile(7), resolveRules('strictSeven')));
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, FileStorage } = require('../storage');
+
+// Both storages share one interface, so they must pass the same checks.
+// FileStorage loads rooms and tournaments into an object without a
+// prototype, so they are spread into plain objects to compare them
+const dirs = [];
+const implementations = {
+  MemoryStorage: () => new MemoryStorage(),
+  FileStorage: () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shithead-'));
+    dirs.push(dir);
+    return new FileStorage(dir);
+  },
+};
+
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const record = (names) => ({
+  roomId: 'r',
+  players: names.map((name, i) => ({ seat: i, name, bot: null, position: i + 1 })),
+});
+
+for (const [name, create] of Object.entries(implementations)) {
+  describe(name, () => {
+    let storage;
+    beforeEach(() => {
+      storage = create();
+    });
+
+    it('saves rooms and tournaments as plain copies', () => {
+      const room = { phase: 'lobby', seats: [{ name: 'Ann' }] };
+      storage.saveRoom('a/b c', room);
+      room.phase = 'playing';
+      storage.saveTournament('t', { round: 1 });
+      assert.deepEqual({ ...storage.loadRooms() }, { 'a/b c': { phase: 'lobby', seats: [{ name: 'Ann' }] } });
+      assert.deepEqual({ ...storage.loadTournaments() }, { t: { round: 1 } });
+    });
+
+    it('replaces an earlier version of a room', () => {
+      storage.saveRoom('r', { phase: 'lobby' });
+      storage.saveRoom('r', { phase: 'finished' });
+      assert.deepEqual({ ...storage.loadRooms() }, { r: { phase: 'finished' } });
+    });
+
+    it('keep ids and names such as __proto__ apart from everything else', () => {
+      storage.saveRoom('__proto__', { phase: 'lobby' });
+      storage.recordGame(record(['__proto__', 'constructor']));
+      storage.recordGame(record(['__proto__', 'Ann']));
+      assert.deepEqual(Object.entries(storage.loadRooms()), [['__proto__', { phase: 'lobby' }]]);
+      assert.deepEqual(storage.getPlayerStats('__proto__'), { games: 2, wins: 2, shitheads: 0 });
+      assert.deepEqual(storage.getPlayerStats('constructor'), { games: 1, wins: 0, shitheads: 1 });
+      assert.deepEqual(storage.getPlayerStats('toString'), { games: 0, wins: 0, shitheads: 0 });
+      assert.equal({}.games, undefined);
+    });
+
+    it('records games and derives player statistics', () => {
+      storage.recordGame(record(['Ann', 'Bob', 'Cat']));
+      storage.recordGame(record(['Bob', 'Ann']));
+      assert.equal(storage.listGames().length, 2);
+      assert.deepEqual(storage.getPlayerStats('Ann'), { games: 2, wins: 1, shitheads: 1 });
+      assert.deepEqual(storage.getPlayerStats('Bob'), { games: 2, wins: 1, shitheads: 0 });
+      assert.deepEqual(storage.getPlayerStats('Cat'), { games: 1, wins: 0, shitheads: 1 });
+      assert.deepEqual(storage.getPlayerStats('Dan'), { games: 0, wins: 0, shitheads: 0 });
+    });
+  });
+}
+
+describe('FileStorage', () => {
+  it('keeps everything for a new instance on the same directory', () => {
+    const first = implementations.FileStorage();
+    first.saveRoom('r', { phase: 'playing' });
+    first.recordGame(record(['Ann', 'Bob']));
+    const second = new FileStorage(first.dir);
+    assert.deepEqual({ ...second.loadRooms() }, { r: { phase: 'playing' } });
+    assert.deepEqual(second.getPlayerStats('Ann'), { games: 1, wins: 1, shitheads: 0 });
+  });
+});
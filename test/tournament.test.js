@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Tournament, scoreGame } = require('../tournament');
+
+describe('Tournament', () => {
+  it('reject settings that do not fit', () => {
+    for (const settings of [
+      { format: 'swiss' }, { tableSize: '3' }, { tableSize: 2.5 }, { tableSize: 11 },
+      { gamesPerMatch: 'x' }, { gamesPerMatch: 0 }, { gamesPerMatch: 1e6 },
+      { rounds: 0 }, { rounds: 1e9 }, { rounds: '2' },
+      { scoring: null }, { scoring: [] }, { scoring: { points: 3 } }, { scoring: { points: ['1'] } },
+      { scoring: { shithead: null } }, { scoring: { bonus: 1 } },
+    ]) {
+      assert.throws(() => new Tournament(settings), Error, JSON.stringify(settings));
+    }
+  });
+
+  it('score games with the scoring given', () => {
+    assert.equal(scoreGame(1, 3), 2);
+    assert.equal(scoreGame(3, 3), -1);
+    const scoring = { points: [5, 2], shithead: -3 };
+    assert.equal(scoreGame(1, 3, scoring), 5);
+    assert.equal(scoreGame(3, 3, scoring), -3);
+  });
+
+  it('play a round robin to the end and restore it from a snapshot', () => {
+    const tournament = new Tournament({ tableSize: 2, scoring: { points: [3, 0], shithead: 0 } });
+    ['Ann', 'Bob', 'Cat', 'Dan'].forEach(name => tournament.addPlayer(name));
+    tournament.start();
+    assert.equal(tournament.rounds, 3);
+    while (!tournament.finished) {
+      const restored = Tournament.fromJSON(tournament.toJSON());
+      assert.deepEqual(restored.toJSON(), tournament.toJSON());
+      tournament.tables.forEach((table, t) => {
+        if (!table.done) tournament.recordGame(t, [...table.seats].sort((a, b) => a - b));
+      });
+      if (!tournament.finished) tournament.nextRound();
+    }
+    assert.deepEqual(tournament.standings().map(p => p.name), ['Ann', 'Bob', 'Cat', 'Dan']);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextSeat, passTurn } = require('../turns');
+const { Game, Card } = require('../game');
+
+// Players by seat; the seats listed have gone out
+const table = (count, ...finished) => Array.from({ length: count }, (_, seat) => ({ finished: finished.includes(seat) }));
+
+describe('nextSeat', () => {
+  it('go round the table in either direction', () => {
+    assert.equal(nextSeat(table(4), 3, 1), 0);
+    assert.equal(nextSeat(table(4), 0, -1), 3);
+    assert.equal(nextSeat(table(4), 1, 1, 2), 3);
+  });
+
+  it('pass over players who have gone out', () => {
+    assert.equal(nextSeat(table(4, 1, 2), 0, 1), 3);
+    assert.equal(nextSeat(table(4, 3), 2, 1), 0);
+    assert.equal(nextSeat(table(4, 0, 1, 2, 3), 2, 1), 2);
+  });
+});
+
+describe('passTurn', () => {
+  it('move on one seat after an ordinary play', () => {
+    assert.deepEqual(passTurn(table(4), 1, 1), { seat: 2, direction: 1, skipped: [] });
+  });
+
+  it('stack skips, wrapping round the table', () => {
+    assert.deepEqual(passTurn(table(4), 2, 1, { skip: 3 }), { seat: 2, direction: 1, skipped: [3, 0, 1] });
+    assert.deepEqual(passTurn(table(2), 0, 1, { skip: 1 }), { seat: 0, direction: 1, skipped: [1] });
+  });
+
+  it('reverse first, so skips follow the new direction', () => {
+    assert.deepEqual(passTurn(table(4), 1, 1, { reverse: true }), { seat: 0, direction: -1, skipped: [] });
+    assert.deepEqual(passTurn(table(5), 1, 1, { reverse: true, skip: 1 }), { seat: 4, direction: -1, skipped: [0] });
+  });
+
+  it('never skip, reverse to or give another turn to players who have gone out', () => {
+    assert.deepEqual(passTurn(table(4, 2), 1, 1, { skip: 1 }), { seat: 0, direction: 1, skipped: [3] });
+    assert.deepEqual(passTurn(table(4, 0), 1, 1, { reverse: true }), { seat: 3, direction: -1, skipped: [] });
+    assert.deepEqual(passTurn(table(3, 1), 1, 1, { extraTurn: true }), { seat: 2, direction: 1, skipped: [] });
+  });
+
+  it('give another turn after a burn or wild card', () => {
+    assert.deepEqual(passTurn(table(3), 1, 1, { extraTurn: true, skip: 1 }), { seat: 1, direction: 1, skipped: [] });
+  });
+});
+
+describe('turn order in a game', () => {
+  /**
+   * A four-player game in play with an empty stock and seat 0 to move,
+   * holding the given hand.
+   */
+  const start = (hand, rules) => {
+    const game = new Game(['Ann', 'Bob', 'Cat', 'Dan'], { seed: 1, rules, setupPhase: false });
+    game.deck.cards = [];
+    game.pile = [];
+    game.currentPlayer = 0;
+    game.players[0].hand = hand;
+    return game;
+  };
+
+  it('skip one player for every skip card played together', () => {
+    const hand = [new Card(5, 'hearts'), new Card(5, 'clubs'), new Card(12, 'hearts')];
+    const game = start(hand);
+    game.playCards(game.players[0], hand.slice(0, 2));
+    assert.equal(game.currentPlayer, 3);
+    assert.deepEqual(game.log.find(e => e.type === 'skip').players, [1, 2]);
+  });
+
+  it('reverse the direction with reverseNine', () => {
+    const hand = [new Card(9, 'hearts'), new Card(12, 'hearts')];
+    const game = start(hand, 'reverseNine');
+    game.playCards(game.players[0], [hand[0]]);
+    assert.equal(game.direction, -1);
+    assert.equal(game.currentPlayer, 3);
+  });
+
+  it('give the player another turn after a burn', () => {
+    const hand = [new Card(10, 'hearts'), new Card(12, 'hearts')];
+    const game = start(hand);
+    game.playCards(game.players[0], [hand[0]]);
+    assert.equal(game.currentPlayer, 0);
+  });
+
+  it('pass over a player who has gone out', () => {
+    const hand = [new Card(12, 'hearts'), new Card(13, 'hearts')];
+    const game = start(hand);
+    Object.assign(game.players[1], { hand: [], faceUp: [], faceDown: [], finished: true });
+    game.finishedOrder.push(1);
+    game.playCards(game.players[0], [hand[0]]);
+    assert.equal(game.currentPlayer, 2);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, createRng } = require('../game');
+const { createBot, createStalemateGuard } = require('../ai');
+
+// Games of up to five players without jokers use one deck of unique cards
+const GAMES = [
+  { players: ['Ann', 'Bob'], seed: 1 },
+  { players: ['Ann', 'Bob', 'Cat', 'Dan', 'Eve'], seed: 'views' },
+  { players: ['Ann', 'Bob', 'Cat'], seed: 9, rules: 'reverseNine' },
+];
+
+const key = card => `${card.rank}${card.suit}`;
+
+/**
+ * Every card anywhere in plain data, as keys.
+ */
+function cardsIn(data, found = []) {
+  if (Array.isArray(data)) data.forEach(item => cardsIn(item, found));
+  else if (data && typeof data === 'object') {
+    if ('rank' in data && 'suit' in data) found.push(key(data));
+    else Object.values(data).forEach(value => cardsIn(value, found));
+  }
+  return found;
+}
+
+/**
+ * Cards nobody but their holder may see: hands (except the viewer's own)
+ * and every face-down card.
+ */
+function hiddenCards(game, seat = null) {
+  return new Set(game.players.flatMap(p => [...(p.id === seat ? [] : p.hand), ...p.faceDown]).map(key));
+}
+
+// Cards everyone can see on the table
+const tableCards = game => new Set([...game.pile, ...game.discard, ...game.players.flatMap(p => p.faceUp)].map(key));
+
+describe('views and public events', () => {
+  for (const setup of GAMES) {
+    it(`never show hidden cards in a ${setup.players.length}-player game (seed ${setup.seed})`, () => {
+      const game = new Game(setup.players, { seed: setup.seed, rules: setup.rules });
+      const random = createRng(`${setup.seed}:bots`);
+      const bots = setup.players.map(() => createBot('hard', { random }));
+      const stuck = createStalemateGuard();
+      const check = () => {
+        const hidden = hiddenCards(game);
+        for (const card of cardsIn(game.getPublicView())) assert.ok(!hidden.has(card), `public view shows ${card}`);
+        game.players.forEach((_, seat) => {
+          const hiddenFromSeat = hiddenCards(game, seat);
+          for (const card of cardsIn(game.getPlayerView(seat))) {
+            assert.ok(!hiddenFromSeat.has(card), `seat ${seat} sees ${card}`);
+          }
+        });
+      };
+      const act = (move, seat) => {
+        const from = game.log.length;
+        const faceDown = new Set(game.players.flatMap(p => p.faceDown).map(key));
+        game.applyAction({ ...move, player: seat });
+        const events = game.getPublicEvents(from);
+        const table = tableCards(game);
+        for (const event of events) {
+          if (event.type === 'swap') assert.deepEqual(cardsIn(event), []);
+          else if (event.type === 'blind' || event.type === 'blindFailed') {
+            // Turning a card over reveals it, and only that card
+            assert.ok(faceDown.has(key(event.card)));
+          } else {
+            for (const card of cardsIn(event)) assert.ok(table.has(card), `${event.type} event shows ${card}`);
+          }
+        }
+        check();
+      };
+      check();
+      bots.forEach((bot, seat) => {
+        for (const move of bot.chooseSetup(game.getPlayerView(seat))) act(move, seat);
+      });
+      let turns = 0;
+      while (!game.isGameOver() && !stuck(game)) {
+        const seat = game.currentPlayer;
+        act(bots[seat].chooseMove(game.getPlayerView(seat)), seat);
+        turns++;
+      }
+      assert.ok(turns > 0);
+      assert.ok(game.log.some(e => e.type === 'swap'));
+    });
+  }
+});
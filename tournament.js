@@ -0,0 +1,303 @@
+/*
+ * Tournaments: series of games between a fixed set of participants.
+ *
+ * Participants are seated at tables of up to `tableSize` players for each
+ * round and every table plays a match of `gamesPerMatch` games.  Each game
+ * scores points by finishing position and the shithead is penalised (see
+ * scoreGame()).  Two formats are supported:
+ *
+ *  • roundRobin  Every round the seating is rotated (the circle method, so
+ *                with two‑player tables everyone meets everyone once) and
+ *                the participant with the most points at the end wins.
+ *  • knockout    After each round the better half of every table (the
+ *                winner of a two‑player match) goes through to the next.
+ *                A round played at a single table is the final.
+ *
+ * The Tournament class only does the bookkeeping; playing the games (in
+ * server rooms, or directly on Game objects) is up to the caller, which
+ * reports each result with recordGame().
+ */
+
+const FORMATS = ['roundRobin', 'knockout'];
+
+// Upper limits on the settings, which may come from untrusted clients
+const MAX_GAMES_PER_MATCH = 10;
+const MAX_ROUNDS = 100;
+
+const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a scoring scheme for scoreGame().
+ *
+ * @param {*} scoring
+ * @throws {Error} If it is not a plain object with a list of `points` and
+ *         a `shithead` penalty, both optional.
+ */
+function checkScoring(scoring) {
+  if (scoring === null || typeof scoring !== 'object' || Array.isArray(scoring)) {
+    throw new Error('Scoring must be an object with points and a shithead penalty');
+  }
+  const { points, shithead, ...rest } = scoring;
+  const unknown = Object.keys(rest)[0];
+  if (unknown !== undefined) throw new Error(`Unknown scoring setting: ${unknown}`);
+  if (points !== undefined && (!Array.isArray(points) || points.length > 10 || !points.every(isNumber))) {
+    throw new Error('Scoring points must list a number for each finishing position');
+  }
+  if (shithead !== undefined && !isNumber(shithead)) throw new Error('The shithead penalty must be a number');
+}
+
+/**
+ * Points scored for one game.
+ *
+ * @param {number} position Finishing position, 1 for the winner.
+ * @param {number} players Number of players in the game.
+ * @param {object} [scoring]
+ * @param {number[]} [scoring.points] Points for each position, first place
+ *        first.  Defaults to one point for every player finishing behind.
+ * @param {number} [scoring.shithead=-1] Added to the shithead's points.
+ * @returns {number}
+ */
+function scoreGame(position, players, scoring = {}) {
+  const { points, shithead = -1 } = scoring;
+  const base = points ? points[position - 1] || 0 : players - position;
+  return position === players ? base + shithead : base;
+}
+
+class Tournament {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.format='roundRobin'] "roundRobin" or
+   *        "knockout".
+   * @param {number} [options.tableSize=2] Players per table, 2 to 10.
+   *        Tables of six or more play with two decks.
+   * @param {number} [options.gamesPerMatch=1] Games played at each table
+   *        every round, 1 to MAX_GAMES_PER_MATCH.
+   * @param {number} [options.rounds] Number of round robin rounds, up to
+   *        MAX_ROUNDS.  Defaults to one full rotation of the seating.
+   * @param {object} [options.scoring] See scoreGame().
+   * @throws {Error} If a setting is not valid.
+   */
+  constructor(options = {}) {
+    const { format = 'roundRobin', tableSize = 2, gamesPerMatch = 1, rounds = null, scoring = {} } = options;
+    if (!FORMATS.includes(format)) throw new Error(`Unknown tournament format: ${format}`);
+    if (!isWhole(tableSize, 2, 10)) throw new Error('Tables must seat between 2 and 10 players');
+    if (!isWhole(gamesPerMatch, 1, MAX_GAMES_PER_MATCH)) {
+      throw new Error(`Every match needs between 1 and ${MAX_GAMES_PER_MATCH} games`);
+    }
+    if (rounds !== null && !isWhole(rounds, 1, MAX_ROUNDS)) {
+      throw new Error(`A tournament can have between 1 and ${MAX_ROUNDS} rounds`);
+    }
+    checkScoring(scoring);
+    this.format = format;
+    this.tableSize = tableSize;
+    this.gamesPerMatch = gamesPerMatch;
+    this.rounds = rounds;
+    this.scoring = scoring;
+    this.players = [];
+    this.round = 0;
+    this.tables = [];
+    this.finished = false;
+    this.final = null; // finishing order of the final table (knockout only)
+  }
+
+  /**
+   * Add a participant before the tournament starts.
+   *
+   * @param {string} name
+   * @param {string|null} [bot=null] Bot level for a computer participant.
+   * @returns {number} Index of the participant.
+   */
+  addPlayer(name, bot = null) {
+    if (this.round > 0) throw new Error('The tournament has already started.');
+    this.players.push({ name, bot, points: 0, games: 0, wins: 0, shitheads: 0, byes: 0, out: null });
+    return this.players.length - 1;
+  }
+
+  /**
+   * Start the tournament by seating the first round.
+   *
+   * @returns {Array<object>} The tables of the first round.
+   */
+  start() {
+    if (this.round > 0) throw new Error('The tournament has already started.');
+    if (this.players.length < 2) throw new Error('At least 2 players are needed.');
+    if (this.format === 'roundRobin' && this.rounds === null) {
+      this.rounds = this.players.length + (this.players.length % 2) - 1;
+    }
+    return this.nextRound();
+  }
+
+  /**
+   * Participants still in the tournament.
+   *
+   * @returns {number[]}
+   */
+  remaining() {
+    return this.players.map((_, i) => i).filter(i => this.players[i].out === null);
+  }
+
+  /**
+   * Seat the next round.  Participants left over at a table of their own
+   * get a bye.
+   *
+   * @returns {Array<object>} The tables, each `{ seats, games, done }` where
+   *          `seats` lists participant indices.
+   */
+  nextRound() {
+    this.round++;
+    let order = this.remaining();
+    if (this.format === 'roundRobin') order = this.rotation(order, this.round - 1);
+    const tables = [];
+    for (let i = 0; i < order.length; i += this.tableSize) {
+      tables.push(order.slice(i, i + this.tableSize).filter(p => p !== null));
+    }
+    // Seat a lone player at another table if there is room, otherwise they
+    // have a bye
+    for (let t = tables.length - 1; t >= 0; t--) {
+      if (tables[t].length !== 1) continue;
+      const other = tables.find(table => table.length > 1 && table.length < this.tableSize);
+      if (other) {
+        other.push(tables[t][0]);
+        tables.splice(t, 1);
+      }
+    }
+    this.tables = tables.filter(t => t.length > 0).map(seats => ({ seats, games: [], done: seats.length < 2 }));
+    for (const table of this.tables) {
+      if (table.done) this.players[table.seats[0]].byes++;
+    }
+    return this.tables;
+  }
+
+  /**
+   * Seating order for a round robin round.  The first participant stays
+   * put and the others rotate around them; the order is then folded so
+   * that neighbouring seats pair the first with the last, the second with
+   * the second last and so on.  An odd field is padded with a bye (null).
+   *
+   * @param {number[]} players
+   * @param {number} round Zero based round number.
+   * @returns {Array<number|null>}
+   */
+  rotation(players, round) {
+    const list = players.length % 2 ? [...players, null] : [...players];
+    const rest = list.slice(1);
+    const shift = round % rest.length;
+    const circle = [list[0], ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)];
+    const folded = [];
+    for (let i = 0; i < circle.length / 2; i++) folded.push(circle[i], circle[circle.length - 1 - i]);
+    return folded;
+  }
+
+  /**
+   * Record the result of one game played at a table.
+   *
+   * @param {number} table Index of the table in the current round.
+   * @param {number[]} order Participant indices in finishing order, the
+   *        shithead last.
+   * @returns {{matchOver: boolean, roundOver: boolean}}
+   */
+  recordGame(table, order) {
+    const t = this.tables[table];
+    if (!t || t.done) throw new Error('No match in progress at that table.');
+    if (order.length !== t.seats.length || !order.every(p => t.seats.includes(p))) {
+      throw new Error('The result does not match the players at the table.');
+    }
+    t.games.push(order);
+    order.forEach((p, i) => {
+      const player = this.players[p];
+      player.points += scoreGame(i + 1, order.length, this.scoring);
+      player.games++;
+      if (i === 0) player.wins++;
+      if (i === order.length - 1) player.shitheads++;
+    });
+    t.done = t.games.length >= this.gamesPerMatch;
+    const roundOver = this.tables.every(x => x.done);
+    if (roundOver) this.endRound();
+    return { matchOver: t.done, roundOver };
+  }
+
+  /**
+   * Points each participant at a table scored in its match, best first,
+   * ties broken by the result of the last game.
+   *
+   * @param {object} table
+   * @returns {number[]} Participant indices.
+   */
+  matchRanking(table) {
+    const points = new Map(table.seats.map(p => [p, 0]));
+    for (const order of table.games) {
+      order.forEach((p, i) => points.set(p, points.get(p) + scoreGame(i + 1, order.length, this.scoring)));
+    }
+    const last = table.games[table.games.length - 1] || table.seats;
+    return [...table.seats].sort((a, b) => points.get(b) - points.get(a) || last.indexOf(a) - last.indexOf(b));
+  }
+
+  /**
+   * Knock players out at the end of a knockout round and decide whether
+   * the tournament is over.
+   */
+  endRound() {
+    if (this.format === 'roundRobin') {
+      this.finished = this.round >= this.rounds;
+      return;
+    }
+    if (this.tables.length === 1) {
+      this.final = this.matchRanking(this.tables[0]);
+      this.final.slice(1).forEach(p => { this.players[p].out = this.round; });
+      this.finished = true;
+      return;
+    }
+    for (const table of this.tables) {
+      const advance = Math.max(1, Math.floor(table.seats.length / 2));
+      this.matchRanking(table).slice(advance).forEach(p => { this.players[p].out = this.round; });
+    }
+    if (this.remaining().length === 1) this.finished = true;
+  }
+
+  /**
+   * Current standings: every participant with their points, games, wins,
+   * shithead count and byes, best first.
+   *
+   * @returns {Array<object>}
+   */
+  standings() {
+    const rank = p => {
+      if (this.format !== 'knockout') return 0;
+      if (this.final && this.final.includes(p)) return -this.final.indexOf(p);
+      const { out } = this.players[p];
+      return out === null ? 0 : out - this.round - 1000;
+    };
+    return this.players
+      .map((p, player) => ({ player, ...p }))
+      .sort((a, b) => rank(b.player) - rank(a.player)
+        || b.points - a.points
+        || b.wins - a.wins
+        || a.shitheads - b.shitheads)
+      .map((p, i) => ({ ...p, position: i + 1 }));
+  }
+
+  /**
+   * Snapshot of the tournament as plain JSON‑safe data.
+   *
+   * @returns {object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({ ...this }));
+  }
+
+  /**
+   * Reconstruct a tournament from a snapshot produced by toJSON().
+   *
+   * @param {object} data
+   * @returns {Tournament}
+   */
+  static fromJSON(data) {
+    // The number of rounds may have been worked out by start()
+    return Object.assign(new Tournament({ ...data, rounds: null }), JSON.parse(JSON.stringify(data)));
+  }
+}
+
+module.exports = {
+  Tournament, FORMATS, MAX_GAMES_PER_MATCH, MAX_ROUNDS, scoreGame,
+};
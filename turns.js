@@ -0,0 +1,92 @@
+/*
+ * Turn order for the Shithead engine.
+ *
+ * Play goes round the table in the current direction (1 clockwise, –1
+ * counter clockwise) and players who have gone out are passed over: they
+ * are never skipped, reversed to or given another turn.  After every play
+ * the turn effects of the cards decide who goes next.  They are applied in
+ * the order listed in TURN_EFFECTS:
+ *
+ *  • reverse    The direction of play is reversed first, so skips and the
+ *               next player follow the new direction.
+ *  • skip       Skips stack: each one passes over the next player still in
+ *               the game, wrapping round the table (with two players a
+ *               single skip gives the player another turn).
+ *  • extraTurn  The player goes again, e.g. after a burn or a wild card.
+ *               A player who has just gone out cannot, so the turn passes
+ *               on as usual.
+ *
+ * The functions work on anything with a `finished` flag per seat, so they
+ * serve the Game's players as well as the player views the bots see.
+ */
+
+/**
+ * How each turn effect changes the turn being worked out by passTurn(),
+ * `{ direction, skips, again }`, given the effect's value from the play.
+ * New card powers that change the turn order can be added here.
+ */
+const TURN_EFFECTS = {
+  reverse(turn) {
+    turn.direction = -turn.direction;
+  },
+  skip(turn, count) {
+    turn.skips += count;
+  },
+  extraTurn(turn) {
+    turn.again = true;
+  },
+};
+
+/**
+ * The seat `steps` places on from `from` in the given direction, counting
+ * only players who have not gone out.
+ *
+ * @param {Array<{finished: boolean}>} players Players by seat.
+ * @param {number} from Seat to count from; it may have gone out itself.
+ * @param {number} direction 1 or –1.
+ * @param {number} [steps=1]
+ * @returns {number} `from` if nobody is left in the game.
+ */
+function nextSeat(players, from, direction, steps = 1) {
+  if (players.every(p => p.finished)) return from;
+  const total = players.length;
+  let seat = from;
+  while (steps > 0) {
+    seat = (seat + direction + total) % total;
+    if (!players[seat].finished) steps--;
+  }
+  return seat;
+}
+
+/**
+ * Work out whose turn it is after a player's move.
+ *
+ * @param {Array<{finished: boolean}>} players Players by seat, with the
+ *        mover already marked finished if the move took them out.
+ * @param {number} from Seat of the player who moved.
+ * @param {number} direction Direction of play before the move.
+ * @param {object} [effects] Turn effects of the move, keyed as in
+ *        TURN_EFFECTS, e.g. `{ reverse: true, skip: 2 }`.  Effects that are
+ *        false or zero are ignored.
+ * @returns {{seat: number, direction: number, skipped: number[]}} The next
+ *          player, the direction of play from now on and the seats skipped
+ *          (in order, possibly including the mover's own).
+ */
+function passTurn(players, from, direction, effects = {}) {
+  const turn = { direction, skips: 0, again: false };
+  for (const [name, apply] of Object.entries(TURN_EFFECTS)) {
+    if (effects[name]) apply(turn, effects[name]);
+  }
+  if (turn.again && !players[from].finished) {
+    return { seat: from, direction: turn.direction, skipped: [] };
+  }
+  const skipped = [];
+  let seat = from;
+  for (let i = 0; i < turn.skips; i++) {
+    seat = nextSeat(players, seat, turn.direction);
+    skipped.push(seat);
+  }
+  return { seat: nextSeat(players, seat, turn.direction), direction: turn.direction, skipped };
+}
+
+module.exports = { TURN_EFFECTS, nextSeat, passTurn };